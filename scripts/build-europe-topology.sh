@@ -0,0 +1,42 @@
+#!/bin/sh
+# Rebuild data/europe-topology-{low,medium,high}.json, the bundled geometry of both European maps (see geo-loader.js)
+#
+# Source: the world-atlas 10m countries (Natural Earth), clipped to the map's extent. The extent also reaches into
+# Asia and Africa, so the countries there are dropped by name, together with the features the 10m atlas adds to the
+# 50m one (the British bases and the UN buffer zone on Cyprus, Gibraltar). Vatican City is a zero-area ring in the
+# 10m atlas and is left out on import. Each level keeps the shapes of the microstates and is quantized like the
+# world-atlas files; features keep their ISO 3166 numeric id and their name.
+#
+# Usage: sh scripts/build-europe-topology.sh (needs Node.js and npm; run from the repository root)
+
+set -eu
+
+ATLAS_VERSION=2.0.2
+MAPSHAPER_VERSION=0.7.70
+# west,south,east,north in degrees: the Azores and the Canaries to the Caucasus, up to Svalbard
+EXTENT=-32,27,47,81
+DROPPED='["Algeria", "Azerbaijan", "Egypt", "Greenland", "Iran", "Iraq", "Israel", "Jordan", "Kazakhstan", "Kuwait", "Lebanon", "Libya", "Mauritania", "Morocco", "Palestine", "Saudi Arabia", "Syria", "Tunisia", "W. Sahara", "Akrotiri", "Dhekelia", "Cyprus U.N. Buffer Zone", "Gibraltar"]'
+# Share of the removable vertices kept at each level of detail
+LEVELS="low:4% medium:15% high:40%"
+
+OUT_DIR="$(pwd)/data"
+WORK_DIR="$(mktemp -d)"
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+cd "$WORK_DIR"
+npm pack --silent "world-atlas@$ATLAS_VERSION" > /dev/null
+tar -xzf "world-atlas-$ATLAS_VERSION.tgz"
+
+for level in $LEVELS; do
+    detail="${level%%:*}"
+    percentage="${level#*:}"
+    npx --yes "mapshaper@$MAPSHAPER_VERSION" \
+        -i package/countries-10m.json \
+        -target countries \
+        -filter "!$DROPPED.includes(name)" \
+        -clip bbox="$EXTENT" \
+        -simplify weighted "$percentage" keep-shapes \
+        -filter-fields FID,name \
+        -rename-fields id=FID \
+        -o "$OUT_DIR/europe-topology-$detail.json" format=topojson quantization=100000 id-field=id bbox
+done
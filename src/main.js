@@ -3,16 +3,22 @@
  * The Price of Living - Information Visualization Project
  */
 
-import { loadInflationByCategories, loadBulletGraphData, loadHICPData, loadIncomeAndInflationData } from './modules/data-loader.js';
-import { createInflationCategoriesChart, resetInflationCategoriesState } from './modules/line-chart.js';
+import { loadInflationByCategories, loadBulletGraphData, loadHICPData, loadIncomeAndInflationData, getDatasetCacheStats, invalidateDatasetCache, loadWageSeriesOptions, DEFAULT_WAGE_SERIES, loadDeflatorOptions, DEFAULT_DEFLATOR, PERSONAL_DEFLATOR, getInflationSourcePreference, setInflationSourcePreference, INFLATION_GAP_POLICIES, getInflationGapPolicy, setInflationGapPolicy } from './modules/data-loader.js';
+import { createInflationCategoriesChart, resetInflationCategoriesState, refreshInflationCategoriesChart, setPersonalInflationSeries, setupLineModeControls, showCountryComparison, showCategoryInChart } from './modules/line-chart.js';
 import { createRadarChart, setupYearSelection, updateRadarChart } from './modules/radar-chart.js';
 import { setupBulletYearSelector, resetBulletYearSelector } from './modules/bullet-graph.js';
-import { createChoroplethMap, setupChoroplethControls } from './modules/choropleth-map.js';
+import { createChoroplethMap, setupChoroplethControls, getChoroplethMeasure } from './modules/choropleth-map.js';
 import { renderCountrySelectorMap, refreshCountrySelectorMap, setupCountrySearch } from './modules/country-selector-map.js';
-import { createScatterPlot, setupScatterControls, resetScatterControls } from './modules/scatter-plot.js';
+import { createScatterPlot, setupScatterControls, resetScatterControls, refreshScatterPlot } from './modules/scatter-plot.js';
 import * as utils from './modules/utils.js';
 import { renderEmptyState, startEmptyStateObserver } from './modules/empty-state.js';
-import { initCountryComparison, syncComparisonCountry } from './modules/country-comparison.js';
+import { initCountryComparison, syncComparisonCountry, setComparisonWageSeries, setComparisonDeflator, refreshComparison, refreshComparisonTimeline } from './modules/country-comparison.js';
+import { resolveCountry, getCountryMismatches } from './modules/country-registry.js';
+import { initPersonalInflation, updatePersonalInflation } from './modules/personal-inflation.js';
+import { initValueConverter, syncConverterCountry, refreshValueConverter } from './modules/value-converter.js';
+import { setRemoteGeometrySource } from './modules/geo-loader.js';
+import { createCategoryMultiples } from './modules/category-multiples.js';
+import { loadEconomicEvents, initEventAnnotations } from './modules/event-annotations.js';
 
 /**
  * Initialize visualizations when DOM is loaded
@@ -34,12 +40,26 @@ async function initializeApp() {
     window.currentCountry = "Portugal";
     window.lastCountryChangeSource = "init";
 
+    // Maps use the bundled geometry; a remote TopoJSON is only tried when the page declares one
+    // (<html data-geometry-source="...">)
+    setRemoteGeometrySource(document.documentElement.dataset.geometrySource);
+
+    // Personal basket first, so its line and deflator are available to the first render
+    setupPersonalInflation();
+
+    // Economic events marked on the charts over time, also before the first render
+    await loadEconomicEvents();
+    setupEventAnnotations();
+
     // Load and create inflation by categories visualization
     await loadAndDisplayInflationData(window.currentCountry);
 
     // Load and create bullet graph visualization
     await loadAndDisplayBulletGraph();
 
+    // Amount converter between years, following the selected country
+    await initValueConverter(window.currentCountry);
+
     // Load and create choropleth map visualization
     await loadAndDisplayChoroplethMap();
 
@@ -50,6 +70,7 @@ async function initializeApp() {
     utils.initSmoothScroll();
     if (typeof utils.initBackToTop === 'function') utils.initBackToTop();
     setupVisualizationControls();
+    setupInflationGapSelector();
     setupCountrySelector();
     updateCountryCardState(window.currentCountry);
     await renderCountrySelectorMap();
@@ -64,6 +85,7 @@ async function initializeApp() {
 async function loadAndDisplayInflationData(country = "Portugal") {
     try {
         const data = await loadInflationByCategories(country);
+        setPersonalInflationSeries(updatePersonalInflation(data, country), country);
         if (data) {
             createInflationCategoriesChart(data, country);
             d3.select("#year-selection-container").style("display", "none");
@@ -96,12 +118,147 @@ async function loadAndDisplayInflationData(country = "Portugal") {
     }
 }
 
+// Portuguese minimum wage series shown in the bullet graph and in the Portugal comparison card
+let currentWageSeries = DEFAULT_WAGE_SERIES;
+// Category or basket used to deflate real wages (bullet graph and comparison cards)
+let currentDeflator = DEFAULT_DEFLATOR;
+
+/**
+ * Fill the wage series selector; it is only shown for countries with more than one series (Portugal)
+ */
+async function setupWageSeriesSelector(country = "Portugal") {
+    const control = d3.select("#wage-series-control");
+    const select = d3.select("#wage-series-select");
+    if (control.empty() || select.empty()) {
+        return;
+    }
+
+    const options = await loadWageSeriesOptions(country);
+    if (!options || options.length < 2) {
+        control.attr("hidden", true);
+        return;
+    }
+
+    select.selectAll("option")
+        .data(options)
+        .join("option")
+        .attr("value", d => d.id)
+        .text(d => `${d.label} (${d.firstYear}–${d.lastYear})`);
+
+    select.property("value", currentWageSeries);
+    control.attr("hidden", null);
+
+    select.on("change", async function() {
+        currentWageSeries = this.value;
+        await loadAndDisplayBulletGraph(window.currentCountry);
+        try {
+            await setComparisonWageSeries(currentWageSeries);
+        } catch (error) {
+            console.warn("[wageSeries] Failed to sync comparison module", error);
+        }
+    });
+}
+
+/**
+ * Setup deflator selector (inflation categories and baskets published for the country)
+ */
+async function setupDeflatorSelector(country = "Portugal") {
+    const select = d3.select("#deflator-select");
+    if (select.empty()) {
+        return;
+    }
+
+    const options = await loadDeflatorOptions(country);
+    if (!options.some(option => option.id === currentDeflator)) {
+        currentDeflator = DEFAULT_DEFLATOR;
+        await setComparisonDeflator(currentDeflator);
+    }
+
+    const groups = [
+        { kind: "total", label: "Inflação total" },
+        { kind: "basket", label: "Cabazes" },
+        { kind: "personal", label: "Pessoal" },
+        { kind: "category", label: "Categorias" }
+    ].filter(group => options.some(option => option.kind === group.kind));
+
+    select.selectAll("optgroup")
+        .data(groups, d => d.kind)
+        .join("optgroup")
+        .attr("label", d => d.label)
+        .selectAll("option")
+        .data(group => options.filter(option => option.kind === group.kind))
+        .join("option")
+        .attr("value", d => d.id)
+        .text(d => d.label);
+
+    select.property("value", currentDeflator);
+
+    select.on("change", async function() {
+        currentDeflator = this.value;
+        await loadAndDisplayBulletGraph(window.currentCountry);
+        try {
+            await setComparisonDeflator(currentDeflator);
+        } catch (error) {
+            console.warn("[deflator] Failed to sync comparison module", error);
+        }
+    });
+}
+
+/**
+ * Setup the "A minha inflação" panel: new weights redraw the personal line, and the real wages when they use it
+ */
+function setupPersonalInflation() {
+    initPersonalInflation({
+        onChange: async () => {
+            const country = window.currentCountry;
+            const data = await loadInflationByCategories(country);
+            setPersonalInflationSeries(updatePersonalInflation(data, country), country);
+
+            await refreshValueConverter();
+            if (currentDeflator === PERSONAL_DEFLATOR) {
+                await loadAndDisplayBulletGraph(country);
+                try {
+                    await refreshComparison();
+                } catch (error) {
+                    console.warn("[personalInflation] Failed to refresh comparison module", error);
+                }
+            }
+        },
+        onUseForWages: async () => {
+            currentDeflator = PERSONAL_DEFLATOR;
+            await loadAndDisplayBulletGraph(window.currentCountry);
+            try {
+                await setComparisonDeflator(currentDeflator);
+            } catch (error) {
+                console.warn("[personalInflation] Failed to sync comparison module", error);
+            }
+            document.getElementById("viz-bullet-graph")?.scrollIntoView({ behavior: "smooth", block: "center" });
+        }
+    });
+}
+
+/**
+ * Setup the economic events panel: added or removed annotations redraw the charts that mark them
+ */
+function setupEventAnnotations() {
+    initEventAnnotations({
+        getCountry: () => window.currentCountry,
+        onChange: () => {
+            refreshInflationCategoriesChart();
+            refreshScatterPlot();
+            refreshComparisonTimeline();
+        }
+    });
+}
+
 /**
  * Load and display bullet graph data
  */
 async function loadAndDisplayBulletGraph(country = "Portugal") {
     try {
-        const bulletData = await loadBulletGraphData(country);
+        await setupWageSeriesSelector(country);
+        await setupDeflatorSelector(country);
+        const bulletData = await loadBulletGraphData(country, currentWageSeries, currentDeflator);
         if (bulletData) {
             setupBulletYearSelector(bulletData, country);
         } else {
@@ -132,7 +289,7 @@ async function loadAndDisplayBulletGraph(country = "Portugal") {
  */
 async function loadAndDisplayChoroplethMap(country = "Portugal") {
     try {
-        const hicpData = await loadHICPData(country);
+        const hicpData = await loadHICPData(country, getChoroplethMeasure());
         if (hicpData) {
             setupChoroplethControls(hicpData, country);
             await createChoroplethMap(hicpData, country);
@@ -160,8 +317,13 @@ async function loadAndDisplayChoroplethMap(country = "Portugal") {
 let isChangingCountry = false;
 
 async function changeCountry(selectedCountry, options = {}) {
-    const targetCountry = selectedCountry || "Portugal";
-    console.log("[changeCountry] requested:", targetCountry);
+    const targetCountry = resolveCountry(selectedCountry || "Portugal", "changeCountry")?.pt;
+    console.log("[changeCountry] requested:", selectedCountry);
+
+    if (!targetCountry) {
+        console.warn("[changeCountry] Ignoring unknown country", selectedCountry, getCountryMismatches());
+        return;
+    }
 
     if (isChangingCountry) {
         return;
@@ -184,6 +346,8 @@ async function changeCountry(selectedCountry, options = {}) {
 
     window.currentCountry = targetCountry;
     updateCountryCardState(targetCountry);
+    // Only Portugal has a national CPI history to splice under the harmonised series
+    d3.select("#inflation-source-control").style("display", targetCountry === "Portugal" ? null : "none");
     refreshCountrySelectorMap(targetCountry);
     try {
         await syncComparisonCountry(targetCountry);
@@ -194,16 +358,18 @@ async function changeCountry(selectedCountry, options = {}) {
     try {
         await loadAndDisplayInflationData(targetCountry);
         await loadAndDisplayBulletGraph(targetCountry);
+        await syncConverterCountry(targetCountry);
         await loadAndDisplayChoroplethMap(targetCountry);
         await loadAndDisplayScatterPlot(targetCountry);
 
         // Reset visualization toggle buttons to timeline view (default)
-        d3.select("#btn-timeline-view").classed("active", true);
-        d3.select("#btn-radar-view").classed("active", false);
+        setActiveInflationView("#btn-timeline-view");
+        d3.select("#line-mode-controls").style("display", null);
     } finally {
         console.debug("[changeCountry] completed", {
             targetCountry,
-            source: window.lastCountryChangeSource
+            source: window.lastCountryChangeSource,
+            cache: getDatasetCacheStats()
         });
         isChangingCountry = false;
     }
@@ -251,47 +417,55 @@ async function loadAndDisplayScatterPlot(country = "Portugal") {
     }
 }
 
+// View buttons of the inflation by category section; one is active at a time
+const INFLATION_VIEW_BUTTONS = ["#btn-timeline-view", "#btn-radar-view", "#btn-countries-view", "#btn-multiples-view"];
+
+function setActiveInflationView(buttonId) {
+    INFLATION_VIEW_BUTTONS.forEach(id => d3.select(id).classed("active", id === buttonId));
+}
+
 /**
  * Setup visualization controls (toggle buttons)
  */
 function setupVisualizationControls() {
     const btnTimeline = d3.select("#btn-timeline-view");
     const btnRadar = d3.select("#btn-radar-view");
+    const btnCountries = d3.select("#btn-countries-view");
+    const btnMultiples = d3.select("#btn-multiples-view");
     const yearSelectionContainer = d3.select("#year-selection-container");
     const categoryFilterContainer = d3.select("#category-filter-container");
+    // Rate / price index / cumulative mode of the timeline
+    const lineModeControls = d3.select("#line-mode-controls");
+    setupLineModeControls();
 
-    let cachedData = {};
-
-    // Load data once and cache it per country
-    async function getCachedData(country) {
-        if (!cachedData[country]) {
-            cachedData[country] = await loadInflationByCategories(country);
-        }
-        return cachedData[country];
-    }
-
-    // Timeline view button
-    btnTimeline.on("click", async function() {
-        btnTimeline.classed("active", true);
-        btnRadar.classed("active", false);
+    // Timeline view, optionally opened on one category (a panel clicked in the small multiples)
+    const showTimeline = async (category = null) => {
+        setActiveInflationView("#btn-timeline-view");
         yearSelectionContainer.style("display", "none");
+        lineModeControls.style("display", null);
 
-        const data = await getCachedData(window.currentCountry);
+        const data = await loadInflationByCategories(window.currentCountry);
         if (data) {
             categoryFilterContainer.style("display", "block");
             createInflationCategoriesChart(data, window.currentCountry);
+            if (category) {
+                showCategoryInChart(category);
+            }
         } else {
             categoryFilterContainer.style("display", "none");
         }
-    });
+    };
+
+    // Timeline view button
+    btnTimeline.on("click", () => showTimeline());
 
     // Radar view button
     btnRadar.on("click", async function() {
-        btnTimeline.classed("active", false);
-        btnRadar.classed("active", true);
+        setActiveInflationView("#btn-radar-view");
         categoryFilterContainer.style("display", "none");
+        lineModeControls.style("display", "none");
 
-        const data = await getCachedData(window.currentCountry);
+        const data = await loadInflationByCategories(window.currentCountry);
         if (data && data.categories?.length) {
             yearSelectionContainer.style("display", "block");
             setupYearSelection(data, updateRadarChart, window.currentCountry);
@@ -299,6 +473,71 @@ function setupVisualizationControls() {
             yearSelectionContainer.style("display", "none");
         }
     });
+
+    // One category across countries, with the EU line
+    btnCountries.on("click", async function() {
+        setActiveInflationView("#btn-countries-view");
+        yearSelectionContainer.style("display", "none");
+        categoryFilterContainer.style("display", "block");
+        lineModeControls.style("display", null);
+
+        await showCountryComparison(window.currentCountry);
+    });
+
+    // Small multiples: one panel per category on a shared scale
+    btnMultiples.on("click", async function() {
+        setActiveInflationView("#btn-multiples-view");
+        yearSelectionContainer.style("display", "none");
+        categoryFilterContainer.style("display", "none");
+        lineModeControls.style("display", "none");
+
+        const data = await loadInflationByCategories(window.currentCountry);
+        createCategoryMultiples(data, window.currentCountry, {
+            onSelect: category => showTimeline(category)
+        });
+    });
+
+    // Portugal's series: harmonised index spliced over the national CPI, or the national CPI alone
+    d3.select("#inflation-source-select")
+        .property("value", getInflationSourcePreference())
+        .on("change", async function() {
+            if (setInflationSourcePreference(this.value)) {
+                await changeCountry(window.currentCountry, { force: true, source: "inflation-source" });
+                await refreshComparison();
+                await refreshValueConverter();
+            }
+        });
+}
+
+/**
+ * Setup the policy used to fill years without published inflation in real wage calculations
+ */
+function setupInflationGapSelector() {
+    const select = d3.select("#inflation-gap-select");
+    if (select.empty()) {
+        return;
+    }
+
+    select.selectAll("option")
+        .data(Object.entries(INFLATION_GAP_POLICIES))
+        .join("option")
+        .attr("value", ([id]) => id)
+        .text(([, policy]) => policy.label);
+
+    select.property("value", getInflationGapPolicy());
+
+    select.on("change", async function() {
+        if (!setInflationGapPolicy(this.value)) {
+            return;
+        }
+        await loadAndDisplayBulletGraph(window.currentCountry);
+        await refreshValueConverter();
+        try {
+            await refreshComparison();
+        } catch (error) {
+            console.warn("[inflationGap] Failed to refresh comparison module", error);
+        }
+    });
 }
 
 /**
@@ -323,3 +562,9 @@ window.visualizations = {
 };
 
 window.changeCountry = changeCountry;
+
+// Dataset registry hooks for checking cache behaviour from the browser console
+window.datasetCache = {
+    stats: getDatasetCacheStats,
+    invalidate: invalidateDatasetCache
+};
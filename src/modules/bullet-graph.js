@@ -4,10 +4,12 @@
  */
 
 import { renderEmptyState } from './empty-state.js';
+import { getCountryDisplayName } from './country-registry.js';
+import { describeImputedInflation, formatPeriodLabel } from './data-loader.js';
 
 /**
  * Create bullet graph showing nominal vs real wage
- * @param {Object} yearData - Data for selected year {year, nominal, real, baseYear}
+ * @param {Object} yearData - Data for selected period {period, label, year, nominal, real, imputedInflation, deflator, baseYear, baseLabel}
  * @param {number} baseNominal - Nominal wage in the selected base year
  * @param {string} country - Country name for title
  */
@@ -25,8 +27,12 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
         return;
     }
 
-    const referenceYear = yearData.baseYear ?? baseYear;
+    // Labels read "2022" for annual values and "1.º sem. 2022" for semesters
+    const periodLabel = yearData.label ?? yearData.year;
+    const referenceYear = yearData.baseLabel ?? yearData.baseYear ?? baseYear;
     const referenceNominal = baseNominal;
+    const hasImputedInflation = yearData.imputedInflation?.length > 0;
+    const deflator = yearData.deflator || { label: "IPC Total", shortLabel: "IPC Total" };
 
     if (!referenceNominal || !isFinite(referenceNominal) || referenceNominal <= 0) {
         container.html(renderEmptyState({
@@ -136,7 +142,7 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
         .attr("dominant-baseline", "middle")
         .attr("font-size", "14px")
         .attr("font-weight", "600")
-        .text(yearData.year);
+        .text(periodLabel);
 
     // Value labels
     svg.append("text")
@@ -155,7 +161,7 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
         .attr("font-size", "12px")
         .attr("fill", "#e74c3c")
         .attr("font-weight", "600")
-        .text(`${yearData.real.toFixed(1)}€ (real)`);
+        .text(`${yearData.real.toFixed(1)}€ (real)${hasImputedInflation ? " *" : ""}`);
 
     svg.append("text")
         .attr("x", xScale(referenceNominal))
@@ -166,14 +172,7 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
         .attr("font-weight", "600")
         .text(`Ref ${referenceYear}: ${referenceNominal.toFixed(1)}€`);
 
-    // Country name mapping for display
-    const countryNames = {
-        "Portugal": "Portugal",
-        "Espanha": "Espanha",
-        "France": "França",
-        "Alemanha": "Alemanha"
-    };
-    const displayCountry = countryNames[country] || country;
+    const displayCountry = getCountryDisplayName(country, "bullet-graph");
 
     // Add title
     svg.append("text")
@@ -192,7 +191,7 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
         .attr("text-anchor", "middle")
         .attr("font-size", "13px")
         .attr("fill", "#7f8c8d")
-        .text(`Poder de compra do salário em ${yearData.year} comparado com ${referenceYear}`);
+        .text(`Poder de compra do salário em ${periodLabel} comparado com ${referenceYear}`);
 
     // Add calculation explanation
     const explanationGroup = svg.append("g")
@@ -211,7 +210,7 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
         .attr("y", 15)
         .attr("font-size", "10px")
         .attr("fill", "#7f8c8d")
-        .text(`Ano de referência: ${referenceYear}`);
+        .text(`Período de referência: ${referenceYear}`);
 
     explanationGroup.append("text")
         .attr("x", 0)
@@ -225,7 +224,20 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
         .attr("y", 43)
         .attr("font-size", "9px")
         .attr("fill", "#95a5a6")
-        .text("Dados: RMMG (salário) + IPC Total (inflação)");
+        .text(`Dados: RMMG (salário) + ${deflator.shortLabel} (inflação)`)
+        .append("title")
+        .text(deflator.label);
+
+    // Deflating across the splice year chains two inflation sources
+    const splice = yearData.inflationSplice;
+    if (splice) {
+        explanationGroup.append("text")
+            .attr("class", "splice-label")
+            .attr("x", 0)
+            .attr("y", 56)
+            .attr("font-size", "9px")
+            .text(`Inflação: ${splice.beforeLabel} até ${splice.year - 1}, ${splice.afterLabel} desde ${splice.year}`);
+    }
 
     // Calculate and display difference
     const difference = yearData.real - referenceNominal;
@@ -252,18 +264,25 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
             .text(`Mesmo poder de compra que ${referenceYear}`);
     }
 
-    // Add legend below difference text
-    const legend = svg.append("g")
-        .attr("transform", `translate(${width / 2 - 120}, ${yCenter + barHeight / 2 + 80})`);
-
+    // Add legend below difference text; the real wage entry names the deflator in use
     const legendItems = [
         { label: "Salário Nominal", color: "#2c3e50", type: "rect" },
-        { label: "Salário Real", color: "#e74c3c", type: "line" },
+        { label: `Salário Real (deflator: ${deflator.shortLabel})`, color: "#e74c3c", type: "line" },
         { label: `Referência ${referenceYear}`, color: "#3498db", type: "dash" }
     ];
 
+    // Items are laid out by label length (about 6px per character at 11px) so long deflator names fit
+    const legendOffsets = [];
+    const legendWidth = legendItems.reduce((offset, item) => {
+        legendOffsets.push(offset);
+        return offset + 25 + item.label.length * 6 + 30;
+    }, 0) - 30;
+
+    const legend = svg.append("g")
+        .attr("transform", `translate(${Math.max(-margin.left + 10, width / 2 - legendWidth / 2)}, ${yCenter + barHeight / 2 + 80})`);
+
     legendItems.forEach((item, i) => {
-        const xPos = i * 140;
+        const xPos = legendOffsets[i];
         const yPos = 0;
 
         if (item.type === "rect") {
@@ -300,6 +319,12 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
             .text(item.label);
     });
 
+    if (hasImputedInflation) {
+        container.append("p")
+            .attr("class", "imputed-inflation-note")
+            .text(`* Salário real calculado com inflação imputada: ${describeImputedInflation(yearData.imputedInflation)}.`);
+    }
+
     const subtitlesContainer = container.append("div")
         .attr("class", "range-subtitles")
         .attr("role", "list");
@@ -324,11 +349,12 @@ export function createBulletGraph(yearData, baseNominal, country = "Portugal", b
     subtitleText.append("span")
         .text(d => d.description);
 
-    console.log("Bullet graph created successfully for year", yearData.year);
+    console.log("Bullet graph created successfully for period", yearData.period ?? yearData.year);
 }
 
 /**
- * Setup year selector for bullet graph
+ * Setup period selector for bullet graph
+ * Offers every period of the series: years, or both semesters for countries reported by semester
  */
 export function setupBulletYearSelector(bulletGraphData, country = "Portugal") {
     const container = d3.select("#bullet-year-selector");
@@ -346,13 +372,15 @@ export function setupBulletYearSelector(bulletGraphData, country = "Portugal") {
         return;
     }
 
-    const { data, years, baseYear, baseNominal } = bulletGraphData;
+    const { data, baseYear, baseNominal } = bulletGraphData;
+    const periods = bulletGraphData.periods || bulletGraphData.years.map(String);
+    updateSkippedPeriodsNote(bulletGraphData.skippedPeriods);
 
     if (!baseYear || !baseNominal) {
         console.warn("Bullet graph base information missing", bulletGraphData);
     }
 
-    if (!years.length) {
+    if (!periods.length) {
         resetBulletYearSelector("Sem anos disponíveis");
         d3.select("#viz-bullet-graph")
             .html(renderEmptyState({
@@ -369,19 +397,19 @@ export function setupBulletYearSelector(bulletGraphData, country = "Portugal") {
         .attr("id", "year-select")
         .attr("class", "year-select-dropdown");
 
-    // Add option for each year
-    years.forEach(year => {
+    // Add option for each period
+    periods.forEach(period => {
         select.append("option")
-            .attr("value", year)
+            .attr("value", period)
             .property("selected", false)
-            .text(year);
+            .text(`${data[period]?.label ?? period}${data[period]?.imputedInflation?.length ? " *" : ""}`);
     });
 
     // Initial render
-    const initialYear = years[years.length - 1];
-    if (initialYear) {
-        select.property("value", initialYear);
-        createBulletGraph(data[initialYear], baseNominal, country, baseYear);
+    const initialPeriod = periods[periods.length - 1];
+    if (initialPeriod) {
+        select.property("value", initialPeriod);
+        createBulletGraph(data[initialPeriod], baseNominal, country, baseYear);
     } else {
         resetBulletYearSelector("Sem anos disponíveis");
         d3.select("#viz-bullet-graph")
@@ -396,24 +424,25 @@ export function setupBulletYearSelector(bulletGraphData, country = "Portugal") {
 
     // Add change listener
     select.on("change", function() {
-        const selectedYear = +this.value;
-        if (data[selectedYear]) {
-            createBulletGraph(data[selectedYear], baseNominal, country, baseYear);
+        const selectedPeriod = this.value;
+        if (data[selectedPeriod]) {
+            createBulletGraph(data[selectedPeriod], baseNominal, country, baseYear);
         } else {
             d3.select("#viz-bullet-graph")
                 .html(renderEmptyState({
-                    title: "Sem dados para este ano",
-                    message: "Não existem valores disponíveis para o ano selecionado.",
+                    title: "Sem dados para este período",
+                    message: "Não existem valores disponíveis para o período selecionado.",
                     meta: "Experimente escolher outro ano ou país.",
                     icon: "📉"
                 }));
         }
     });
 
-    console.log(`Year selector created for ${country} with`, years.length, "years");
+    console.log(`Period selector created for ${country} with`, periods.length, "periods");
 }
 
 export function resetBulletYearSelector(message = "Sem anos disponíveis") {
+    updateSkippedPeriodsNote(null);
     const container = d3.select("#bullet-year-selector");
     container.html(`
         <select id="year-select" class="year-select-dropdown" disabled>
@@ -421,3 +450,15 @@ export function resetBulletYearSelector(message = "Sem anos disponíveis") {
         </select>
     `);
 }
+
+/**
+ * List the periods left out of the selector because their inflation is missing, under the gap selector
+ */
+function updateSkippedPeriodsNote(skippedPeriods) {
+    const periods = skippedPeriods || [];
+    d3.select("#inflation-gap-note")
+        .property("hidden", !periods.length)
+        .text(periods.length
+            ? `* Sem inflação publicada, ficam de fora: ${periods.map(formatPeriodLabel).join(", ")}. Escolha outra opção em "Anos sem inflação" para os estimar.`
+            : "");
+}
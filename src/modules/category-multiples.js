@@ -0,0 +1,201 @@
+/**
+ * Category Multiples Module
+ * One small line chart per COICOP category on a shared scale, so categories can be compared at a glance
+ * (e.g. the lasting deflation of communications). Hovering a panel shows the same year in every panel;
+ * clicking a panel opens that category in the main chart.
+ */
+
+import { renderEmptyState } from "./empty-state.js";
+import { getCountryDisplayName } from "./country-registry.js";
+import { getCategoryLabel, TOTAL_CATEGORY } from "./coicop-categories.js";
+
+const PANEL_WIDTH = 240;
+const PANEL_HEIGHT = 120;
+const PANEL_MARGIN = { top: 8, right: 10, bottom: 20, left: 34 };
+const LINE_COLOR = "#0072B2";
+const TOTAL_COLOR = "#cf4f48";
+
+/**
+ * Render the panels in #viz-inflation-categories
+ *
+ * @param {Object} data - Output of loadInflationByCategories
+ * @param {string} country - Country the categories belong to
+ * @param {Object} options - {onSelect(code)}: called with the category of a clicked panel
+ */
+export function createCategoryMultiples(data, country = "Portugal", { onSelect = null } = {}) {
+    const container = d3.select("#viz-inflation-categories");
+    container.html("");
+
+    const categories = (data?.categories || [])
+        .map(category => ({
+            ...category,
+            values: (category.values || []).filter(v => v?.value != null && !isNaN(v.value))
+        }))
+        .filter(category => category.values.length)
+        // COICOP order, total first
+        .sort((a, b) => a.code.localeCompare(b.code));
+
+    if (!categories.length) {
+        container.html(renderEmptyState({
+            title: "Sem dados de categorias",
+            message: "Não encontrámos séries para desenhar os painéis deste país.",
+            meta: "Selecione outro país para continuar a explorar.",
+            icon: "📉"
+        }));
+        return;
+    }
+
+    const innerWidth = PANEL_WIDTH - PANEL_MARGIN.left - PANEL_MARGIN.right;
+    const innerHeight = PANEL_HEIGHT - PANEL_MARGIN.top - PANEL_MARGIN.bottom;
+    const allValues = categories.flatMap(category => category.values);
+
+    // Every panel shares both scales, so heights and slopes compare across categories
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent(allValues, v => v.year))
+        .range([0, innerWidth]);
+    const yScale = d3.scaleLinear()
+        .domain(d3.extent([0, ...allValues.map(v => v.value)]))
+        .range([innerHeight, 0])
+        .nice();
+    const line = d3.line()
+        .x(v => xScale(v.year))
+        .y(v => yScale(v.value));
+    const area = d3.area()
+        .x(v => xScale(v.year))
+        .y0(yScale(0))
+        .y1(v => yScale(v.value));
+
+    const wrapper = container.append("div")
+        .attr("class", "category-multiples-wrapper");
+
+    const [firstYear, lastYear] = xScale.domain();
+    wrapper.append("p")
+        .attr("class", "category-multiples-title")
+        .text(`Inflação por categoria - ${getCountryDisplayName(country, "category-multiples")} (${firstYear}-${lastYear}), todas na mesma escala`);
+
+    const grid = wrapper.append("div")
+        .attr("class", "category-multiples");
+
+    const panels = grid.selectAll(".multiple-panel")
+        .data(categories, category => category.code)
+        .join("div")
+        .attr("class", category => `multiple-panel${category.code === TOTAL_CATEGORY ? " total" : ""}`)
+        .attr("role", "button")
+        .attr("tabindex", 0)
+        .attr("aria-label", category => `Abrir ${category.name} no gráfico principal`)
+        .on("click", (event, category) => onSelect?.(category.code))
+        .on("keydown", (event, category) => {
+            if (event.key === "Enter" || event.key === " ") {
+                event.preventDefault();
+                onSelect?.(category.code);
+            }
+        });
+
+    const header = panels.append("div")
+        .attr("class", "multiple-panel-header");
+    header.append("span")
+        .attr("class", "multiple-panel-name")
+        .attr("title", category => category.name)
+        .text(category => getCategoryLabel(category.code, "short"));
+    // Latest value, replaced by the hovered year's value
+    const readout = header.append("span")
+        .attr("class", "multiple-panel-value");
+
+    const svg = panels.append("svg")
+        .attr("viewBox", `0 0 ${PANEL_WIDTH} ${PANEL_HEIGHT}`)
+        .attr("preserveAspectRatio", "xMidYMid meet");
+    const plot = svg.append("g")
+        .attr("transform", `translate(${PANEL_MARGIN.left},${PANEL_MARGIN.top})`);
+
+    plot.append("g")
+        .attr("class", "multiple-panel-axis")
+        .call(d3.axisLeft(yScale).ticks(3).tickSize(-innerWidth).tickFormat(d => `${d}%`))
+        .call(axis => axis.select(".domain").remove());
+    plot.append("g")
+        .attr("class", "multiple-panel-axis")
+        .attr("transform", `translate(0,${innerHeight})`)
+        .call(d3.axisBottom(xScale).tickValues([firstYear, lastYear]).tickSize(3).tickFormat(d3.format("d")))
+        .call(axis => axis.select(".domain").remove());
+
+    plot.append("line")
+        .attr("class", "multiple-panel-zero")
+        .attr("x1", 0)
+        .attr("x2", innerWidth)
+        .attr("y1", yScale(0))
+        .attr("y2", yScale(0));
+
+    const colorOf = category => (category.code === TOTAL_CATEGORY ? TOTAL_COLOR : LINE_COLOR);
+
+    plot.append("path")
+        .attr("class", "multiple-panel-area")
+        .attr("fill", colorOf)
+        .attr("d", category => area(category.values));
+    plot.append("path")
+        .attr("class", "multiple-panel-line")
+        .attr("fill", "none")
+        .attr("stroke", colorOf)
+        .attr("d", category => line(category.values));
+
+    // Linked crosshair: one year, shown in every panel
+    const crosshair = plot.append("g")
+        .attr("class", "multiple-panel-crosshair")
+        .style("display", "none");
+    crosshair.append("line")
+        .attr("y1", 0)
+        .attr("y2", innerHeight);
+    crosshair.append("circle")
+        .attr("r", 3)
+        .attr("fill", colorOf);
+
+    const showYear = year => {
+        crosshair
+            .style("display", null)
+            .each(function(category) {
+                const point = category.values.find(v => v.year === year);
+                const group = d3.select(this);
+                group.select("line")
+                    .attr("x1", xScale(year))
+                    .attr("x2", xScale(year));
+                group.select("circle")
+                    .style("display", point ? null : "none")
+                    .attr("cx", xScale(year))
+                    .attr("cy", point ? yScale(point.value) : 0);
+            });
+        readout.text(category => {
+            const point = category.values.find(v => v.year === year);
+            return `${year}: ${point ? formatRate(point.value) : "—"}`;
+        });
+    };
+
+    const showLatest = () => {
+        crosshair.style("display", "none");
+        readout.text(category => {
+            const latest = category.values[category.values.length - 1];
+            return `${latest.year}: ${formatRate(latest.value)}`;
+        });
+    };
+
+    svg.append("rect")
+        .attr("class", "multiple-panel-overlay")
+        .attr("x", PANEL_MARGIN.left)
+        .attr("y", PANEL_MARGIN.top)
+        .attr("width", innerWidth)
+        .attr("height", innerHeight)
+        .on("mousemove", function(event) {
+            // The overlay sits in the panel's own coordinates, offset by the margin
+            const x = d3.pointer(event, this)[0] - PANEL_MARGIN.left;
+            const year = Math.round(xScale.invert(Math.max(0, Math.min(innerWidth, x))));
+            showYear(year);
+        })
+        .on("mouseleave", showLatest);
+
+    showLatest();
+
+    wrapper.append("p")
+        .attr("class", "chart-hint")
+        .text("Passe o rato sobre um painel para ver o mesmo ano em todas as categorias. Clique num painel para o abrir no gráfico principal.");
+}
+
+function formatRate(value) {
+    return `${value.toFixed(1)}%`;
+}
@@ -1,5 +1,10 @@
-import { countryNameMap } from './country-name-map.js';
+import { resolveCountry, resolveFeatureCountry, usesEuro } from './country-registry.js';
 import { renderEmptyState } from './empty-state.js';
+import { getCategoryLabel, TOTAL_CATEGORY } from './coicop-categories.js';
+import { loadHICPData, loadMinimumWageGrowth, resolveHICPMeasure, HICP_MEASURES, DEFAULT_HICP_MEASURE } from './data-loader.js';
+import { CLASSIFICATION_METHODS, CLASS_COUNTS, computeClassBreaks, parseManualBreaks } from './classification.js';
+import { attachMapZoom, addMicrostateSymbols } from './map-zoom.js';
+import { loadEuropeGeometry, getGeometryDetail } from './geo-loader.js';
 
 /**
  * Choropleth Map Module
@@ -7,7 +12,8 @@ import { renderEmptyState } from './empty-state.js';
  */
 
 let currentYear = 2024;
-let currentCategory = "Total";
+// COICOP code of the category shown (see coicop-categories.js)
+let currentCategory = TOTAL_CATEGORY;
 let currentCountry = "Portugal";
 let hicpData = null;
 let svg = null;
@@ -18,43 +24,105 @@ let tooltip = null;
 let selectedCountryValue = null;
 let colorScaleMode = "sequential";
 let maxDifference = 0;
+// Measure requested from loadHICPData (see HICP_MEASURES)
+let measureOptions = { measure: DEFAULT_HICP_MEASURE, baseYear: null, windowYears: null };
+const AVERAGE_WINDOWS = [3, 5, 10];
+// When set, the color domain spans every year (turned on by playback so colors are comparable across frames)
+let fixedColorDomain = false;
+let playbackTimer = null;
+// Milliseconds per year
+const PLAYBACK_SPEEDS = [
+    { value: 1600, label: "Lenta" },
+    { value: 900, label: "Normal" },
+    { value: 450, label: "Rápida" }
+];
+let playbackSpeed = 900;
+// Classification of the colored values (see classification.js); manual breaks are in the measure's unit
+let classification = { method: "continuous", classes: 5, breaks: [] };
+// {thresholds, bounds, colors} of the classes drawn, null while the scale is continuous
+let classBreaks = null;
+// "single" colors the selected measure; "bivariate" crosses annual inflation with minimum wage growth
+let mapMode = "single";
+const MAP_MODES = [
+    { value: "single", label: "Inflação" },
+    { value: "bivariate", label: "Inflação vs salário mínimo" }
+];
+// {inflation, wages}: annual HICP rates and minimum wage growth, loaded the first time the bivariate mode is chosen
+let bivariateData = null;
+// {inflation, wages}: tertile thresholds of each variable, null when no country has both values
+let bivariateBreaks = null;
+// Rows by wage growth (low → high), columns by inflation (low → high): blue where wages grew most, red where prices did
+const BIVARIATE_PALETTE = [
+    ["#e8e8e8", "#e4acac", "#c85a5a"],
+    ["#b0d5df", "#ad9ea5", "#985356"],
+    ["#64acbe", "#627f8c", "#574249"]
+];
+const BIVARIATE_LEVELS = { inflation: ["baixa", "média", "alta"], wages: ["baixo", "médio", "alto"] };
+// Dataset names of the countries added with shift-click, compared with the selected country in the side panel
+let comparedCountries = [];
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 32;
 
-function resolveDatasetCountryName(country) {
-    if (!country || !hicpData?.countries) {
-        return country;
-    }
+/**
+ * Measure options currently selected on the map, to request the same measure after a country change
+ */
+export function getChoroplethMeasure() {
+    return { ...measureOptions };
+}
 
-    if (hicpData.countries.includes(country)) {
-        return country;
-    }
+function getMeasure() {
+    return hicpData?.measure ?? resolveHICPMeasure(measureOptions);
+}
 
-    for (const [portuguese, english] of Object.entries(countryNameMap)) {
-        if (country === portuguese && hicpData.countries.includes(portuguese)) {
-            return portuguese;
-        }
-        if (country === english && hicpData.countries.includes(portuguese)) {
-            return portuguese;
-        }
+// Legend and summary title, with the measure's base year or window
+function getMeasureTitle() {
+    const measure = getMeasure();
+    if (measure.id === "cumulative") {
+        return `Variação acumulada desde ${measure.baseYear} (%)`;
     }
+    if (measure.id === "average") {
+        return `Taxa média anual ${currentYear - measure.windowYears}–${currentYear} (%)`;
+    }
+    return measure.unit ? `${measure.label} (${measure.unit})` : measure.label;
+}
 
-    return country;
+function formatValue(value, digits = 1) {
+    const { unit } = getMeasure();
+    return `${value.toFixed(digits)}${unit}`;
+}
+
+// Legend suffix when the colors are on the scale common to all years
+function getScaleNote() {
+    const years = hicpData?.years || [];
+    return fixedColorDomain && years.length ? ` · escala ${years[0]}–${years[years.length - 1]}` : "";
+}
+
+// Differences between rates are in percentage points
+function formatDifference(value) {
+    const { unit } = getMeasure();
+    return `${value > 0 ? "+" : ""}${value.toFixed(1)}${unit ? " p.p." : ""}`;
 }
 
 function getSelectedCountryNames() {
-    const datasetName = resolveDatasetCountryName(currentCountry) || currentCountry;
-    const englishName = countryNameMap[datasetName] || datasetName;
-    const displayName = datasetName;
+    const entry = resolveCountry(currentCountry, "choropleth");
+    const datasetName = entry?.pt ?? null;
 
     return {
         dataset: datasetName,
-        english: englishName,
-        display: displayName
+        english: entry?.en ?? null,
+        display: datasetName ?? currentCountry,
+        iso3: entry?.iso3 ?? null
     };
 }
 
 function isFeatureSelected(feature) {
-    const { english } = getSelectedCountryNames();
-    return feature?.properties?.name === english;
+    const { iso3 } = getSelectedCountryNames();
+    return !!iso3 && resolveFeatureCountry(feature, "choropleth")?.iso3 === iso3;
+}
+
+function isFeatureCompared(feature) {
+    const countryName = getCountryName(feature);
+    return !!countryName && !isFeatureSelected(feature) && comparedCountries.includes(countryName);
 }
 
 function updateSelectedCountryHighlight() {
@@ -63,7 +131,8 @@ function updateSelectedCountryHighlight() {
     }
 
     svg.selectAll(".country")
-        .classed("selected-country", d => isFeatureSelected(d));
+        .classed("selected-country", d => isFeatureSelected(d))
+        .classed("compared-country", d => isFeatureCompared(d));
 }
 
 function updateCountrySummary() {
@@ -72,6 +141,11 @@ function updateCountrySummary() {
         return;
     }
 
+    if (mapMode === "bivariate") {
+        updateBivariateSummary(summaryContainer);
+        return;
+    }
+
     if (!hicpData?.data || !hicpData.data[currentYear]) {
         summaryContainer
             .attr("class", "map-country-summary empty")
@@ -120,7 +194,7 @@ function updateCountrySummary() {
             .attr("class", "map-country-summary empty")
             .html(renderEmptyState({
                 title: `Sem dados para ${display}`,
-                message: `Não encontramos valores de ${currentCategory.toLowerCase()} para ${display} em ${currentYear}.`,
+                message: `Não encontramos valores de ${getCategoryLabel(currentCategory).toLowerCase()} para ${display} em ${currentYear}.`,
                 meta: "Tente selecionar outro país ou ano no painel do mapa.",
                 icon: "📉"
             }));
@@ -140,9 +214,9 @@ function updateCountrySummary() {
             </div>
             
             <div class="summary-main-metric">
-                <div class="metric-category">${currentCategory}</div>
-                <div class="metric-value-large">${value.toFixed(1)}</div>
-                <div class="metric-unit">Índice HICP</div>
+                <div class="metric-category">${getCategoryLabel(currentCategory)}</div>
+                <div class="metric-value-large">${formatValue(value)}</div>
+                <div class="metric-unit">${getMeasureTitle()}</div>
             </div>
             
             <div class="summary-comparison">
@@ -154,8 +228,8 @@ function updateCountrySummary() {
                         <div class="comparison-label">Intervalo Europeu</div>
                         <div class="comparison-value">
                             ${colorScaleMode === "difference" && minDiff !== null && maxDiff !== null
-                                ? `<span class="range-min">${minDiff.toFixed(1)}</span> <span class="range-arrow">→</span> <span class="range-max">${maxDiff.toFixed(1)}</span>`
-                                : `<span class="range-min">${minValue != null ? minValue.toFixed(1) : '—'}</span> <span class="range-arrow">→</span> <span class="range-max">${maxValue != null ? maxValue.toFixed(1) : '—'}</span>`}
+                                ? `<span class="range-min">${formatDifference(minDiff)}</span> <span class="range-arrow">→</span> <span class="range-max">${formatDifference(maxDiff)}</span>`
+                                : `<span class="range-min">${minValue != null ? formatValue(minValue) : '—'}</span> <span class="range-arrow">→</span> <span class="range-max">${maxValue != null ? formatValue(maxValue) : '—'}</span>`}
                         </div>
                         <div class="comparison-detail">
                             ${colorScaleMode === "difference" && minDiffCountry && maxDiffCountry
@@ -172,12 +246,12 @@ function updateCountrySummary() {
                     </svg>
                     <div class="comparison-content">
                         <div class="comparison-label">Média Europeia</div>
-                        <div class="comparison-value">${mean != null ? mean.toFixed(1) : '—'}</div>
+                        <div class="comparison-value">${mean != null ? formatValue(mean) : '—'}</div>
                         <div class="comparison-detail">
                             ${value != null && mean != null 
                                 ? (value > mean 
-                                    ? `+${(value - mean).toFixed(1)} acima da média`
-                                    : `${(value - mean).toFixed(1)} abaixo da média`)
+                                    ? `${formatDifference(value - mean)} acima da média`
+                                    : `${formatDifference(value - mean)} abaixo da média`)
                                 : 'Referência continental'}
                         </div>
                     </div>
@@ -246,7 +320,7 @@ export async function createChoroplethMap(data, country = "Portugal") {
 
     // Load and draw map
     try {
-        const europeGeoJSON = await loadEuropeGeoJSON();
+        const europeGeoJSON = await loadEuropeGeometry(getGeometryDetail(width));
         drawMap(europeGeoJSON);
     } catch (error) {
         console.error("Error loading map:", error);
@@ -260,35 +334,7 @@ export async function createChoroplethMap(data, country = "Portugal") {
 
     // Add legend
     addLegend();
-}
-
-/**
- * Load Europe GeoJSON
- * Uses a simplified approach by creating basic geometries
- */
-async function loadEuropeGeoJSON() {
-    // For now, we'll use TopoJSON from a CDN
-    // In production, you'd want to host this file locally
-    const url = "https://unpkg.com/world-atlas@2/countries-50m.json";
-
-    try {
-        const topology = await d3.json(url);
-        const countries = topojson.feature(topology, topology.objects.countries);
-
-        // Filter to only European countries (approximate bbox)
-        countries.features = countries.features.filter(d => {
-            const centroid = d3.geoCentroid(d);
-            const lon = centroid[0];
-            const lat = centroid[1];
-            // Rough European bounding box
-            return lon >= -25 && lon <= 45 && lat >= 35 && lat <= 72;
-        });
-
-        return countries;
-    } catch (error) {
-        console.error("Error loading TopoJSON:", error);
-        throw error;
-    }
+    updateSelectionPanel();
 }
 
 /**
@@ -298,26 +344,46 @@ function drawMap(geoData) {
     const g = svg.append("g");
 
     // Draw countries
-    g.selectAll("path")
+    const countries = g.selectAll("path")
         .data(geoData.features)
         .enter()
         .append("path")
-        .attr("d", path)
-            .attr("class", "country")
+        .attr("d", path);
+
+    // Malta, Luxembourg and Cyprus also get a symbol, bound to the same feature, so they can be hovered and clicked
+    const symbols = addMicrostateSymbols(g, geoData.features, path, feature => getCountryName(feature) != null);
+
+    [countries, symbols].forEach(selection => {
+        selection
+            .classed("country", true)
             .classed("selected-country", d => isFeatureSelected(d))
-        .attr("fill", d => getCountryColor(d))
-        .attr("stroke", "#fff")
-        .attr("stroke-width", 1)
-        .style("cursor", "pointer")
-        .on("mouseover", handleMouseOver)
-        .on("mousemove", handleMouseMove)
-        .on("mouseout", handleMouseOut);
+            .classed("compared-country", d => isFeatureCompared(d))
+            .attr("fill", d => getCountryColor(d))
+            .attr("stroke", "#fff")
+            .attr("stroke-width", 1)
+            .style("cursor", "pointer")
+            .on("mouseover", handleMouseOver)
+            .on("mousemove", handleMouseMove)
+            .on("mouseout", handleMouseOut)
+            .on("click", handleCountryClick);
+    });
+
+    attachMapZoom({
+        container: d3.select("#viz-choropleth-map"),
+        svg,
+        group: g,
+        path,
+        fitFeatures: () => geoData.features.filter(feature => getCountryName(feature) != null)
+    });
 }
 
 /**
  * Get color for a country based on current data
  */
 function getCountryColor(feature) {
+    if (mapMode === "bivariate") {
+        return getBivariateColor(feature);
+    }
     if (!colorScale) {
         return "#e0e0e0";
     }
@@ -344,78 +410,120 @@ function getCountryColor(feature) {
 }
 
 /**
- * Try to match country name from GeoJSON to our data
+ * Match a GeoJSON feature to the dataset name through the country registry
  */
 function getCountryName(feature) {
     if (!hicpData?.countries?.length) {
         return null;
     }
 
-    const name = feature.properties.name;
+    const entry = resolveFeatureCountry(feature, "choropleth");
+    if (!entry || !hicpData.countries.includes(entry.pt)) {
+        return null;
+    }
 
-    // Check if it's a direct match (English name)
-    if (hicpData.countries.includes(name)) {
-        return name;
+    return entry.pt;
+}
+
+/**
+ * Update color scale based on current data range, then split it into classes unless the classification is continuous
+ */
+function updateColorScale() {
+    if (mapMode === "bivariate") {
+        classBreaks = null;
+        updateBivariateBreaks();
+        return;
     }
 
-    // Check Portuguese name mapping
-    for (const [portuguese, english] of Object.entries(countryNameMap)) {
-        if (english === name && hicpData.countries.includes(portuguese)) {
-            return portuguese;
-        }
-        if (portuguese === name && hicpData.countries.includes(portuguese)) {
-            return portuguese;
-        }
+    const coloredValues = updateContinuousColorScale();
+    classBreaks = null;
+    if (!coloredValues?.length || classification.method === "continuous") {
+        return;
+    }
+
+    const continuousScale = colorScale;
+    const domain = colorScale.domain();
+    const thresholds = computeClassBreaks(coloredValues, classification.method, classification.classes, {
+        // Equal intervals split the data range, or the trimmed common domain when it is on (see updateContinuousColorScale)
+        extent: fixedColorDomain ? [domain[0], domain[domain.length - 1]] : null,
+        manualBreaks: classification.breaks
+    });
+    if (!thresholds) {
+        return;
     }
 
-    return null;
+    const [minValue, maxValue] = d3.extent(coloredValues);
+    const bounds = [Math.min(minValue, ...thresholds), ...thresholds, Math.max(maxValue, ...thresholds)];
+    // Sequential classes take evenly spaced colors of the ramp; in difference mode each class takes the
+    // diverging color of its midpoint, so classes keep their side of zero
+    const colors = colorScaleMode === "difference"
+        ? d3.range(bounds.length - 1).map(i => continuousScale((bounds[i] + bounds[i + 1]) / 2))
+        : d3.quantize(t => d3.interpolateYlOrRd(0.1 + 0.9 * t), bounds.length - 1);
+
+    classBreaks = { thresholds, bounds, colors };
+    colorScale = d3.scaleThreshold()
+        .domain(thresholds)
+        .range(colors);
 }
 
 /**
- * Update color scale based on current data range
+ * Continuous scale: diverging around the selected country when it has a value, sequential otherwise
+ *
+ * @returns {Array|null} Values the scale is applied to (differences in difference mode), over the domain years
  */
-function updateColorScale() {
+function updateContinuousColorScale() {
     const yearData = hicpData.data[currentYear];
     if (!yearData) {
         colorScale = null;
         selectedCountryValue = null;
         colorScaleMode = "sequential";
-        return;
+        return null;
     }
 
+    const domainYears = fixedColorDomain ? hicpData.years : [currentYear];
     const values = [];
-    Object.values(yearData).forEach(countryData => {
-        const value = countryData[currentCategory];
-        if (value) {
-            values.push(value);
-        }
+    domainYears.forEach(year => {
+        Object.values(hicpData.data[year] || {}).forEach(countryData => {
+            const value = countryData[currentCategory];
+            if (value != null && !isNaN(value)) {
+                values.push(value);
+            }
+        });
     });
 
     if (values.length === 0) {
         colorScale = d3.scaleSequential()
             .domain([0, 1])
             .interpolator(d3.interpolateGreys);
-        return;
+        return null;
     }
 
-    const sequentialMin = d3.min(values);
-    const sequentialMax = d3.max(values);
+    // Over all years a few extreme values (e.g. Bulgaria in 1997) would wash out every other frame,
+    // so the common domain stops at the 2nd/98th percentiles and values beyond it are clamped
+    const sortedValues = values.slice().sort(d3.ascending);
+    const sequentialMin = fixedColorDomain ? d3.quantileSorted(sortedValues, 0.02) : sortedValues[0];
+    const sequentialMax = fixedColorDomain ? d3.quantileSorted(sortedValues, 0.98) : sortedValues[sortedValues.length - 1];
 
     // Use a color scheme from light to dark red/orange
     const { dataset } = getSelectedCountryNames();
     const baseValue = yearData?.[dataset]?.[currentCategory];
 
+    // Differences are taken against the selected country in the same year
     const diffs = [];
 
-    Object.values(yearData).forEach(countryData => {
-        const value = countryData[currentCategory];
-        if (value != null && !isNaN(value) && baseValue != null && !isNaN(baseValue)) {
-            diffs.push(value - baseValue);
-        }
+    domainYears.forEach(year => {
+        const yearBase = hicpData.data[year]?.[dataset]?.[currentCategory];
+        Object.values(hicpData.data[year] || {}).forEach(countryData => {
+            const value = countryData[currentCategory];
+            if (value != null && !isNaN(value) && yearBase != null && !isNaN(yearBase)) {
+                diffs.push(value - yearBase);
+            }
+        });
     });
 
     if (baseValue != null && !isNaN(baseValue) && diffs.length) {
-        const maxAbs = d3.max(diffs.map(d => Math.abs(d)));
+        const absDiffs = diffs.map(d => Math.abs(d));
+        const maxAbs = fixedColorDomain ? d3.quantile(absDiffs, 0.98) : d3.max(absDiffs);
 
         if (maxAbs && maxAbs > 0) {
             selectedCountryValue = baseValue;
@@ -425,7 +533,7 @@ function updateColorScale() {
                 .domain([-maxAbs, 0, maxAbs])
                 .interpolator(t => d3.interpolateRdYlGn(1 - t))
                 .clamp(true);
-            return;
+            return diffs;
         }
     }
 
@@ -433,7 +541,9 @@ function updateColorScale() {
     colorScaleMode = "sequential";
     colorScale = d3.scaleSequential()
         .domain([sequentialMin, sequentialMax])
-        .interpolator(d3.interpolateYlOrRd);
+        .interpolator(d3.interpolateYlOrRd)
+        .clamp(true);
+    return values;
 }
 
 /**
@@ -449,6 +559,11 @@ function handleMouseOver(event, d) {
         return;
     }
 
+    if (mapMode === "bivariate") {
+        showBivariateTooltip(countryName);
+        return;
+    }
+
     const yearData = hicpData.data[currentYear];
     const value = yearData?.[countryName]?.[currentCategory];
     const diff = (colorScaleMode === "difference" && selectedCountryValue != null && value != null && !isNaN(value))
@@ -462,12 +577,12 @@ function handleMouseOver(event, d) {
 
     tooltip.html(`
         <strong>${countryName}</strong><br/>
-        ${currentCategory}<br/>
+        ${getCategoryLabel(currentCategory)}<br/>
         Ano: ${currentYear}<br/>
         <span style="color: #e74c3c; font-weight: bold;">
-            Índice: ${value ? value.toFixed(1) : 'N/A'}
+            ${getMeasure().shortLabel}: ${value != null && !isNaN(value) ? formatValue(value) : 'N/A'}
         </span>
-        ${diff !== null ? `<br/><span style="color: ${diff > 0 ? '#e74c3c' : '#27ae60'}; font-weight: 600;">${diff > 0 ? '+' : ''}${diff.toFixed(1)} vs ${display}</span>` : ''}
+        ${diff !== null ? `<br/><span style="color: ${diff > 0 ? '#e74c3c' : '#27ae60'}; font-weight: 600;">${formatDifference(diff)} vs ${display}</span>` : ''}
     `);
 }
 
@@ -487,10 +602,42 @@ function handleMouseOut(event) {
         .style("opacity", 0);
 }
 
+/**
+ * Click selects the country across the page; shift-click adds it to (or removes it from) the side panel comparison
+ */
+function handleCountryClick(event, d) {
+    if (event.shiftKey) {
+        const countryName = getCountryName(d);
+        if (countryName && !isFeatureSelected(d)) {
+            comparedCountries = comparedCountries.includes(countryName)
+                ? comparedCountries.filter(name => name !== countryName)
+                : [...comparedCountries, countryName];
+            updateSelectedCountryHighlight();
+            updateSelectionPanel();
+        }
+        return;
+    }
+
+    const portugueseName = resolveFeatureCountry(d, "choropleth")?.pt;
+    if (!portugueseName) {
+        return;
+    }
+    comparedCountries = [];
+    updateSelectedCountryHighlight();
+    updateSelectionPanel();
+    if (typeof window !== "undefined" && typeof window.changeCountry === "function") {
+        window.changeCountry(portugueseName, { source: "choropleth" });
+    }
+}
+
 /**
  * Add legend to the map
  */
 function addLegend() {
+    if (mapMode === "bivariate") {
+        addBivariateLegend();
+        return;
+    }
     if (!colorScale) {
         return;
     }
@@ -505,6 +652,11 @@ function addLegend() {
     const legendGroup = svg.append("g")
         .attr("transform", `translate(${legendX}, ${legendY})`);
 
+    if (classBreaks) {
+        addClassLegend(legendGroup, legendWidth, legendHeight);
+        return;
+    }
+
     // Create gradient
     const defs = svg.append("defs");
     const gradient = defs.append("linearGradient")
@@ -537,14 +689,13 @@ function addLegend() {
 
     if (colorScaleMode === "difference") {
         const [minDiff, , maxDiff] = colorScale.domain();
-        const { display } = getSelectedCountryNames();
 
         legendGroup.append("text")
             .attr("x", 0)
             .attr("y", legendHeight + 15)
             .attr("font-size", "11px")
             .attr("fill", "#27ae60")
-            .text(`${minDiff.toFixed(1)} (mais baixo)`);
+            .text(`${formatDifference(minDiff)} (mais baixo)`);
 
         legendGroup.append("text")
             .attr("x", legendWidth)
@@ -552,7 +703,7 @@ function addLegend() {
             .attr("text-anchor", "end")
             .attr("font-size", "11px")
             .attr("fill", "#e74c3c")
-            .text(`${maxDiff.toFixed(1)} (mais alto)`);
+            .text(`${formatDifference(maxDiff)} (mais alto)`);
 
         legendGroup.append("line")
             .attr("x1", legendWidth / 2)
@@ -578,7 +729,7 @@ function addLegend() {
             .attr("font-size", "11px")
             .attr("font-weight", "600")
             .attr("fill", "#333")
-            .text(`Diferença vs ${display}`);
+            .text(getLegendTitle());
     } else {
         const [minValue, maxValue] = colorScale.domain();
 
@@ -587,7 +738,7 @@ function addLegend() {
             .attr("y", legendHeight + 15)
             .attr("font-size", "11px")
             .attr("fill", "#333")
-            .text(minValue.toFixed(0));
+            .text(formatValue(minValue, 0));
 
         legendGroup.append("text")
             .attr("x", legendWidth)
@@ -595,7 +746,7 @@ function addLegend() {
             .attr("text-anchor", "end")
             .attr("font-size", "11px")
             .attr("fill", "#333")
-            .text(maxValue.toFixed(0));
+            .text(formatValue(maxValue, 0));
 
         legendGroup.append("text")
             .attr("x", legendWidth / 2)
@@ -604,14 +755,485 @@ function addLegend() {
             .attr("font-size", "11px")
             .attr("font-weight", "600")
             .attr("fill", "#333")
-            .text("Índice HICP");
+            .text(getLegendTitle());
+    }
+}
+
+function getLegendTitle() {
+    const { display } = getSelectedCountryNames();
+    return colorScaleMode === "difference"
+        ? `${getMeasureTitle()}: diferença vs ${display}${getScaleNote()}`
+        : `${getMeasureTitle()}${getScaleNote()}`;
+}
+
+/**
+ * Discrete legend: one swatch per class with the number of countries it holds this year, and the class limits below
+ */
+function addClassLegend(legendGroup, minWidth, legendHeight) {
+    const { thresholds, bounds, colors } = classBreaks;
+    const legendWidth = Math.max(minWidth, colors.length * 64);
+    const swatchWidth = legendWidth / colors.length;
+    const svgWidth = parseInt(svg.attr("width"));
+    legendGroup.attr("transform", `translate(${(svgWidth - legendWidth) / 2}, ${parseInt(svg.attr("height")) - 50})`);
+
+    const { dataset } = getSelectedCountryNames();
+    const yearData = hicpData.data[currentYear] || {};
+    const baseValue = yearData[dataset]?.[currentCategory];
+    const counts = new Array(colors.length).fill(0);
+    Object.values(yearData).forEach(countryData => {
+        const value = countryData?.[currentCategory];
+        if (value == null || isNaN(value)) {
+            return;
+        }
+        const colored = colorScaleMode === "difference" ? value - baseValue : value;
+        counts[d3.bisectRight(thresholds, colored)]++;
+    });
+
+    const formatBound = value => (colorScaleMode === "difference" && value > 0 ? `+${value.toFixed(1)}` : value.toFixed(1));
+
+    const swatches = legendGroup.selectAll(".legend-class")
+        .data(colors)
+        .join("g")
+        .attr("class", "legend-class")
+        .attr("transform", (d, i) => `translate(${i * swatchWidth}, 0)`);
+
+    swatches.append("rect")
+        .attr("width", swatchWidth - 2)
+        .attr("height", legendHeight)
+        .attr("fill", d => d);
+
+    swatches.append("text")
+        .attr("x", (swatchWidth - 2) / 2)
+        .attr("y", legendHeight / 2)
+        .attr("dy", "0.35em")
+        .attr("text-anchor", "middle")
+        .attr("font-size", "11px")
+        .attr("font-weight", "600")
+        .attr("fill", d => (d3.hsl(d).l > 0.55 ? "#333" : "#fff"))
+        .text((d, i) => counts[i]);
+
+    swatches.append("title")
+        .text((d, i) => `${formatBound(bounds[i])} a ${formatBound(bounds[i + 1])}: ${counts[i]} ${counts[i] === 1 ? "país" : "países"} em ${currentYear}`);
+
+    legendGroup.selectAll(".legend-bound")
+        .data(bounds)
+        .join("text")
+        .attr("class", "legend-bound")
+        .attr("x", (d, i) => Math.min(i * swatchWidth, legendWidth - 2))
+        .attr("y", legendHeight + 15)
+        .attr("text-anchor", (d, i) => (i === 0 ? "start" : i === bounds.length - 1 ? "end" : "middle"))
+        .attr("font-size", "11px")
+        .attr("fill", "#333")
+        .text(formatBound);
+
+    legendGroup.append("text")
+        .attr("x", legendWidth / 2)
+        .attr("y", -5)
+        .attr("text-anchor", "middle")
+        .attr("font-size", "11px")
+        .attr("font-weight", "600")
+        .attr("fill", "#333")
+        .text(`${getLegendTitle()} · ${CLASSIFICATION_METHODS[classification.method].label.toLowerCase()}`);
+}
+
+function formatGrowth(value) {
+    return `${value > 0 ? "+" : ""}${value.toFixed(1)}%`;
+}
+
+/**
+ * Annual inflation (selected category) and minimum wage growth of a country, or null when either is missing
+ */
+function getBivariateValues(countryName, year = currentYear) {
+    const inflation = bivariateData?.inflation.data[year]?.[countryName]?.[currentCategory];
+    const wage = bivariateData?.wages.data[year]?.[countryName];
+    if (inflation == null || isNaN(inflation) || wage == null || isNaN(wage)) {
+        return null;
+    }
+    return { inflation, wage };
+}
+
+// Minimum wages are published in euros: outside the euro area their growth would mix in exchange rates (see loadMinimumWageGrowth)
+function isWageOutsideEuro(countryName, year = currentYear) {
+    return Boolean(bivariateData?.wages.excludedCountries?.includes(countryName)) && !usesEuro(countryName, year - 1);
+}
+
+function listBivariateCountries(year = currentYear) {
+    return Object.keys(bivariateData?.inflation.data[year] || {})
+        .map(countryName => ({ countryName, values: getBivariateValues(countryName, year) }))
+        .filter(entry => entry.values);
+}
+
+/**
+ * Tertiles of each variable over the countries that have both, this year or every year when the scale is common
+ */
+function updateBivariateBreaks() {
+    const domainYears = fixedColorDomain ? hicpData.years : [currentYear];
+    const pairs = domainYears.flatMap(year => listBivariateCountries(year).map(entry => entry.values));
+    const inflation = computeClassBreaks(pairs.map(pair => pair.inflation), "quantile", 3);
+    const wages = computeClassBreaks(pairs.map(pair => pair.wage), "quantile", 3);
+    bivariateBreaks = listBivariateCountries().length && inflation && wages ? { inflation, wages } : null;
+}
+
+// [column, row] of BIVARIATE_PALETTE: inflation tertile and wage growth tertile
+function getBivariateCell({ inflation, wage }) {
+    return [
+        d3.bisectRight(bivariateBreaks.inflation, inflation),
+        d3.bisectRight(bivariateBreaks.wages, wage)
+    ];
+}
+
+function getBivariateColor(feature) {
+    const countryName = getCountryName(feature);
+    const values = countryName && bivariateBreaks ? getBivariateValues(countryName) : null;
+    if (!values) {
+        return "#e0e0e0";
+    }
+    const [column, row] = getBivariateCell(values);
+    return BIVARIATE_PALETTE[row][column];
+}
+
+function showBivariateTooltip(countryName) {
+    const values = getBivariateValues(countryName);
+    const gap = values ? values.wage - values.inflation : null;
+
+    tooltip.transition()
+        .duration(200)
+        .style("opacity", 0.95);
+
+    tooltip.html(`
+        <strong>${countryName}</strong><br/>
+        Ano: ${currentYear}<br/>
+        ${values
+            ? `Inflação (${getCategoryLabel(currentCategory)}): ${formatGrowth(values.inflation)}<br/>
+               Salário mínimo: ${formatGrowth(values.wage)}<br/>
+               <span style="color: ${gap >= 0 ? '#27ae60' : '#e74c3c'}; font-weight: 600;">
+                   Salário ${gap >= 0 ? "à frente dos" : "atrás dos"} preços (${gap > 0 ? "+" : ""}${gap.toFixed(1)} p.p.)
+               </span>`
+            : isWageOutsideEuro(countryName)
+                ? 'Sem o euro como moeda: o salário mínimo só está publicado em euros e o câmbio distorceria o crescimento'
+                : 'Sem inflação ou salário mínimo para este ano'}
+    `);
+}
+
+/**
+ * Square 3×3 legend: inflation grows to the right, wage growth upwards; each cell shows its number of countries
+ */
+function addBivariateLegend() {
+    if (!bivariateBreaks) {
+        return;
+    }
+
+    const cellSize = 30;
+    const gridSize = cellSize * 3;
+    const svgHeight = parseInt(svg.attr("height"));
+    const legendGroup = svg.append("g")
+        .attr("class", "bivariate-legend")
+        .attr("transform", `translate(70, ${svgHeight - gridSize - 60})`);
+
+    const counts = BIVARIATE_PALETTE.map(colors => colors.map(() => 0));
+    listBivariateCountries().forEach(({ values }) => {
+        const [column, row] = getBivariateCell(values);
+        counts[row][column]++;
+    });
+    const cells = BIVARIATE_PALETTE.flatMap((colors, row) => colors.map((color, column) => ({
+        row,
+        column,
+        color,
+        count: counts[row][column]
+    })));
+
+    const swatches = legendGroup.selectAll(".bivariate-cell")
+        .data(cells)
+        .join("g")
+        .attr("class", "bivariate-cell")
+        .attr("transform", d => `translate(${d.column * cellSize}, ${(2 - d.row) * cellSize})`);
+
+    swatches.append("rect")
+        .attr("width", cellSize - 1)
+        .attr("height", cellSize - 1)
+        .attr("fill", d => d.color);
+
+    swatches.append("text")
+        .attr("x", (cellSize - 1) / 2)
+        .attr("y", (cellSize - 1) / 2)
+        .attr("dy", "0.35em")
+        .attr("text-anchor", "middle")
+        .attr("font-size", "11px")
+        .attr("font-weight", "600")
+        .attr("fill", d => (d3.hsl(d.color).l > 0.55 ? "#333" : "#fff"))
+        .text(d => d.count);
+
+    swatches.append("title")
+        .text(d => `Inflação ${BIVARIATE_LEVELS.inflation[d.column]}, salário mínimo ${BIVARIATE_LEVELS.wages[d.row]}: ${d.count} ${d.count === 1 ? "país" : "países"} em ${currentYear}`);
+
+    // Tertile limits along each axis
+    legendGroup.selectAll(".legend-bound-x")
+        .data(bivariateBreaks.inflation)
+        .join("text")
+        .attr("class", "legend-bound-x")
+        .attr("x", (d, i) => (i + 1) * cellSize)
+        .attr("y", gridSize + 12)
+        .attr("text-anchor", "middle")
+        .attr("font-size", "10px")
+        .attr("fill", "#333")
+        .text(d => `${d.toFixed(1)}%`);
+
+    legendGroup.selectAll(".legend-bound-y")
+        .data(bivariateBreaks.wages)
+        .join("text")
+        .attr("class", "legend-bound-y")
+        .attr("x", -4)
+        .attr("y", (d, i) => gridSize - (i + 1) * cellSize)
+        .attr("dy", "0.35em")
+        .attr("text-anchor", "end")
+        .attr("font-size", "10px")
+        .attr("fill", "#333")
+        .text(d => `${d.toFixed(1)}%`);
+
+    legendGroup.append("text")
+        .attr("x", gridSize / 2)
+        .attr("y", gridSize + 28)
+        .attr("text-anchor", "middle")
+        .attr("font-size", "11px")
+        .attr("font-weight", "600")
+        .attr("fill", "#333")
+        .text("Inflação →");
+
+    legendGroup.append("text")
+        .attr("transform", `translate(-44, ${gridSize / 2}) rotate(-90)`)
+        .attr("text-anchor", "middle")
+        .attr("font-size", "11px")
+        .attr("font-weight", "600")
+        .attr("fill", "#333")
+        .text("Salário mínimo →");
+
+    legendGroup.append("text")
+        .attr("x", -44)
+        .attr("y", -10)
+        .attr("font-size", "11px")
+        .attr("font-weight", "600")
+        .attr("fill", "#333")
+        .text(`Variação anual, ${currentYear}${getScaleNote()}`);
+
+    legendGroup.append("text")
+        .attr("x", -44)
+        .attr("y", gridSize + 44)
+        .attr("font-size", "10px")
+        .attr("fill", "#666")
+        .text("Só países que usam o euro: o salário mínimo é publicado em euros");
+}
+
+/**
+ * Summary of the bivariate map: the selected country's wage growth against inflation, and how many countries kept wages ahead
+ */
+function updateBivariateSummary(summaryContainer) {
+    const { dataset, display } = getSelectedCountryNames();
+    const values = bivariateBreaks && dataset ? getBivariateValues(dataset) : null;
+    if (!values) {
+        summaryContainer
+            .attr("class", "map-country-summary empty")
+            .html(renderEmptyState({
+                title: bivariateBreaks ? `Sem dados para ${display}` : "Sem dados disponíveis",
+                message: !bivariateBreaks
+                    ? `Nenhum país tem inflação e salário mínimo publicados para ${currentYear}.`
+                    : isWageOutsideEuro(dataset)
+                        ? `${display} não tinha o euro como moeda em ${currentYear - 1}: o salário mínimo só está publicado em euros, e o câmbio distorceria o crescimento face à inflação em moeda nacional.`
+                        : `Não encontramos inflação e salário mínimo para ${display} em ${currentYear}.`,
+                meta: "Escolha outro ano acima para continuar a exploração.",
+                icon: "🗺️"
+            }));
+        return;
+    }
+
+    const countries = listBivariateCountries();
+    const ahead = countries.filter(entry => entry.values.wage > entry.values.inflation).length;
+    const gap = values.wage - values.inflation;
+    const [column, row] = getBivariateCell(values);
+
+    summaryContainer
+        .attr("class", "map-country-summary")
+        .html(`
+            <div class="summary-header">
+                <div class="summary-title">${display}</div>
+                <div class="summary-year-badge">${currentYear}</div>
+            </div>
+
+            <div class="summary-main-metric">
+                <div class="metric-category">Salário mínimo vs inflação (${getCategoryLabel(currentCategory)})</div>
+                <div class="metric-value-large">${gap > 0 ? "+" : ""}${gap.toFixed(1)} p.p.</div>
+                <div class="metric-unit">Crescimento do salário mínimo menos a inflação anual</div>
+            </div>
+
+            <div class="summary-comparison">
+                <div class="comparison-item">
+                    <span class="bivariate-swatch" style="background: ${BIVARIATE_PALETTE[row][column]};"></span>
+                    <div class="comparison-content">
+                        <div class="comparison-label">Inflação · Salário mínimo</div>
+                        <div class="comparison-value">${formatGrowth(values.inflation)} · ${formatGrowth(values.wage)}</div>
+                        <div class="comparison-detail">Inflação ${BIVARIATE_LEVELS.inflation[column]} e salário ${BIVARIATE_LEVELS.wages[row]} face à Europa</div>
+                    </div>
+                </div>
+
+                <div class="comparison-item">
+                    <svg class="comparison-icon" width="20" height="20" viewBox="0 0 20 20" fill="none">
+                        <path d="M10 3v14M10 3l-4 4M10 3l4 4" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                    </svg>
+                    <div class="comparison-content">
+                        <div class="comparison-label">Salário à frente dos preços</div>
+                        <div class="comparison-value">${ahead} de ${countries.length} países que usam o euro</div>
+                        <div class="comparison-detail">Salário mínimo cresceu mais do que a inflação</div>
+                    </div>
+                </div>
+            </div>
+        `);
+}
+
+/**
+ * Countries in the side panel: the selected country first, then the shift-clicked ones, as long as they have data
+ */
+function getPanelCountries() {
+    const { dataset } = getSelectedCountryNames();
+    return [dataset, ...comparedCountries.filter(name => name !== dataset)]
+        .filter(name => name && hicpData?.countries?.includes(name));
+}
+
+/**
+ * Series of a country in the side panel: the mapped measure for the current category, or on the bivariate map
+ * the gap between minimum wage growth and inflation
+ */
+function getPanelSeries(countryName) {
+    if (mapMode === "bivariate") {
+        return (bivariateData?.inflation.years || [])
+            .map(year => {
+                const values = getBivariateValues(countryName, year);
+                return values ? { year, value: values.wage - values.inflation } : null;
+            })
+            .filter(Boolean);
+    }
+    return hicpData.years
+        .map(year => ({ year, value: hicpData.data[year]?.[countryName]?.[currentCategory] }))
+        .filter(point => point.value != null && !isNaN(point.value));
+}
+
+function formatPanelValue(value) {
+    return mapMode === "bivariate" ? `${value > 0 ? "+" : ""}${value.toFixed(1)} p.p.` : formatValue(value);
+}
+
+function formatPanelDifference(value) {
+    return mapMode === "bivariate" ? `${value > 0 ? "+" : ""}${value.toFixed(1)} p.p.` : formatDifference(value);
+}
+
+/**
+ * Side panel comparing the selected countries in the current year, with a sparkline of each over all years
+ * Sparklines share one vertical scale so their levels can be compared.
+ */
+function updateSelectionPanel() {
+    const panel = d3.select("#map-selection-panel");
+    if (panel.empty() || !hicpData) {
+        return;
+    }
+    panel.html("");
+
+    const { dataset } = getSelectedCountryNames();
+    const series = getPanelCountries().map(countryName => {
+        const points = getPanelSeries(countryName);
+        return { countryName, points, current: points.find(point => point.year === currentYear)?.value ?? null };
+    });
+
+    panel.append("h4")
+        .attr("class", "map-selection-title")
+        .text("Países selecionados");
+    panel.append("p")
+        .attr("class", "map-selection-meta")
+        .text(mapMode === "bivariate"
+            ? `Salário mínimo menos inflação · ${currentYear}`
+            : `${getMeasureTitle()} · ${getCategoryLabel(currentCategory)} · ${currentYear}`);
+
+    const points = series.flatMap(entry => entry.points);
+    if (points.length) {
+        const xScale = d3.scaleLinear()
+            .domain(d3.extent(points, point => point.year))
+            .range([2, SPARKLINE_WIDTH - 2]);
+        const yDomain = d3.extent(points, point => point.value);
+        const yScale = d3.scaleLinear()
+            .domain(yDomain)
+            .range([SPARKLINE_HEIGHT - 3, 3]);
+        const line = d3.line()
+            .x(point => xScale(point.year))
+            .y(point => yScale(point.value));
+        const baseValue = series.find(entry => entry.countryName === dataset)?.current ?? null;
+
+        const items = panel.append("ul")
+            .attr("class", "map-selection-list")
+            .selectAll("li")
+            .data(series, d => d.countryName)
+            .join("li")
+            .attr("class", "map-selection-item")
+            .classed("is-selected", d => d.countryName === dataset);
+
+        const labels = items.append("div")
+            .attr("class", "map-selection-label");
+        labels.append("span")
+            .attr("class", "map-selection-name")
+            .text(d => d.countryName);
+        labels.append("span")
+            .attr("class", "map-selection-value")
+            .text(d => (d.current != null ? formatPanelValue(d.current) : "—"));
+        labels.filter(d => d.countryName !== dataset && d.current != null && baseValue != null)
+            .append("span")
+            .attr("class", "map-selection-diff")
+            .text(d => `${formatPanelDifference(d.current - baseValue)} vs ${getSelectedCountryNames().display}`);
+
+        const sparklines = items.append("svg")
+            .attr("class", "map-sparkline")
+            .attr("width", SPARKLINE_WIDTH)
+            .attr("height", SPARKLINE_HEIGHT)
+            .attr("role", "img")
+            .attr("aria-label", d => `Evolução em ${d.countryName}`);
+
+        if (yDomain[0] < 0 && yDomain[1] > 0) {
+            sparklines.append("line")
+                .attr("class", "map-sparkline-zero")
+                .attr("x1", 0)
+                .attr("x2", SPARKLINE_WIDTH)
+                .attr("y1", yScale(0))
+                .attr("y2", yScale(0));
+        }
+        sparklines.append("path")
+            .attr("class", "map-sparkline-line")
+            .attr("fill", "none")
+            .attr("d", d => line(d.points));
+        sparklines.filter(d => d.current != null)
+            .append("circle")
+            .attr("class", "map-sparkline-current")
+            .attr("cx", xScale(currentYear))
+            .attr("cy", d => yScale(d.current))
+            .attr("r", 2.5);
+
+        items.filter(d => d.countryName !== dataset)
+            .append("button")
+            .attr("type", "button")
+            .attr("class", "map-selection-remove")
+            .attr("aria-label", d => `Remover ${d.countryName} da comparação`)
+            .text("×")
+            .on("click", (event, d) => {
+                comparedCountries = comparedCountries.filter(name => name !== d.countryName);
+                updateSelectedCountryHighlight();
+                updateSelectionPanel();
+            });
     }
+
+    panel.append("p")
+        .attr("class", "map-selection-hint")
+        .text("Clique num país para o selecionar em toda a página; Shift + clique para o juntar à comparação.");
 }
 
 /**
  * Update map with new year and/or category
+ *
+ * @param {Object} options - {duration}: length of the color transition in ms
  */
-export function updateChoroplethMap(year, category) {
+export function updateChoroplethMap(year, category, { duration = 500 } = {}) {
     currentYear = year;
     currentCategory = category;
 
@@ -622,7 +1244,9 @@ export function updateChoroplethMap(year, category) {
     }
 
     const hasYearData = !!hicpData?.data?.[currentYear];
-    const hasCategoryData = hasYearData && Object.values(hicpData.data[currentYear]).some(entry => entry?.[currentCategory] != null && !isNaN(entry[currentCategory]));
+    const hasCategoryData = mapMode === "bivariate"
+        ? Boolean(bivariateBreaks)
+        : hasYearData && Object.values(hicpData.data[currentYear]).some(entry => entry?.[currentCategory] != null && !isNaN(entry[currentCategory]));
 
     if (!hasYearData || !hasCategoryData) {
         svg.selectAll(".country")
@@ -637,13 +1261,15 @@ export function updateChoroplethMap(year, category) {
 
         updateSelectedCountryHighlight();
         updateCountrySummary();
+        updateSelectionPanel();
         return;
     }
 
     // Update country colors
     svg.selectAll(".country")
         .transition()
-        .duration(500)
+        .duration(duration)
+        .ease(d3.easeLinear)
         .attr("fill", d => getCountryColor(d));
 
     // Update legend
@@ -655,12 +1281,15 @@ export function updateChoroplethMap(year, category) {
     addLegend();
     updateSelectedCountryHighlight();
     updateCountrySummary();
+    updateSelectionPanel();
+    syncPlaybackControls();
 }
 
 /**
  * Setup year and category selectors
  */
 export function setupChoroplethControls(data, country = "Portugal") {
+    stopPlayback();
     hicpData = data;
     currentCountry = country;
 
@@ -691,8 +1320,8 @@ export function setupChoroplethControls(data, country = "Portugal") {
             .classed("disabled", false);
 
         yearSelect.on("change", function() {
-            currentYear = +this.value;
-            updateChoroplethMap(currentYear, currentCategory);
+            stopPlayback();
+            updateChoroplethMap(+this.value, currentCategory);
         });
     } else {
         yearSelect
@@ -715,7 +1344,7 @@ export function setupChoroplethControls(data, country = "Portugal") {
             .enter()
             .append("option")
             .attr("value", d => d)
-            .text(d => d)
+            .text(d => getCategoryLabel(d))
             .property("selected", d => d === currentCategory);
 
         categorySelect.property("value", currentCategory)
@@ -723,8 +1352,8 @@ export function setupChoroplethControls(data, country = "Portugal") {
             .classed("disabled", false);
 
         categorySelect.on("change", function() {
-            currentCategory = this.value;
-            updateChoroplethMap(currentYear, currentCategory);
+            stopPlayback();
+            updateChoroplethMap(currentYear, this.value);
         });
     } else {
         categorySelect
@@ -735,5 +1364,296 @@ export function setupChoroplethControls(data, country = "Portugal") {
             .attr("disabled", true)
             .classed("disabled", true);
     }
+
+    setupModeControls();
+    setupMeasureControls();
+    setupClassificationControls();
+    setupPlaybackControls();
+    syncModeControls();
     updateCountrySummary();
 }
+
+/**
+ * Classification method, class count and, for manual classes, the typed thresholds
+ */
+function setupClassificationControls() {
+    const methodSelect = d3.select("#map-classification-select");
+    const countSelect = d3.select("#map-class-count");
+    const breaksInput = d3.select("#map-class-breaks");
+    if (methodSelect.empty()) {
+        return;
+    }
+
+    const syncVisibility = () => {
+        countSelect.attr("hidden", classification.method === "continuous" || classification.method === "manual" ? true : null);
+        breaksInput.attr("hidden", classification.method === "manual" ? null : true);
+    };
+
+    methodSelect
+        .on("change", function() {
+            classification.method = this.value;
+            syncVisibility();
+            updateChoroplethMap(currentYear, currentCategory);
+        })
+        .selectAll("option")
+        .data(Object.entries(CLASSIFICATION_METHODS), ([id]) => id)
+        .join("option")
+        .attr("value", ([id]) => id)
+        .text(([, method]) => method.label);
+    methodSelect.property("value", classification.method);
+
+    countSelect
+        .on("change", function() {
+            classification.classes = +this.value;
+            updateChoroplethMap(currentYear, currentCategory);
+        })
+        .selectAll("option")
+        .data(CLASS_COUNTS, d => d)
+        .join("option")
+        .attr("value", d => d)
+        .text(d => `${d} classes`);
+    countSelect.property("value", classification.classes);
+
+    breaksInput
+        .property("value", classification.breaks.join("; "))
+        .on("change", function() {
+            classification.breaks = parseManualBreaks(this.value);
+            updateChoroplethMap(currentYear, currentCategory);
+        });
+
+    syncVisibility();
+}
+
+/**
+ * Timeline scrubber (a range input, so it is keyboard-operable), play/pause, speed, looping and the common scale
+ */
+function setupPlaybackControls() {
+    const years = hicpData?.years || [];
+    const container = d3.select("#map-playback");
+    if (container.empty()) {
+        return;
+    }
+    container.attr("hidden", years.length > 1 ? null : true);
+
+    d3.select("#map-play-button")
+        .on("click", togglePlayback);
+
+    d3.select("#map-year-scrubber")
+        .attr("min", 0)
+        .attr("max", Math.max(years.length - 1, 0))
+        .attr("step", 1)
+        .on("input", function() {
+            stopPlayback();
+            const year = years[+this.value];
+            if (year != null) {
+                updateChoroplethMap(year, currentCategory, { duration: 200 });
+            }
+        })
+        .on("keydown", event => {
+            // Space plays/pauses from the scrubber too; arrows, Home and End move it natively
+            if (event.key === " ") {
+                event.preventDefault();
+                togglePlayback();
+            }
+        });
+
+    d3.select("#map-playback-speed")
+        .on("change", function() {
+            playbackSpeed = +this.value;
+            if (playbackTimer) {
+                stopPlayback();
+                startPlayback();
+            }
+        })
+        .selectAll("option")
+        .data(PLAYBACK_SPEEDS, d => d.value)
+        .join("option")
+        .attr("value", d => d.value)
+        .text(d => d.label);
+    d3.select("#map-playback-speed").property("value", playbackSpeed);
+
+    d3.select("#map-fixed-scale")
+        .on("change", function() {
+            fixedColorDomain = this.checked;
+            updateChoroplethMap(currentYear, currentCategory);
+        });
+
+    syncPlaybackControls();
+}
+
+function syncPlaybackControls() {
+    const years = hicpData?.years || [];
+    const playing = Boolean(playbackTimer);
+
+    d3.select("#map-year-scrubber")
+        .property("value", Math.max(years.indexOf(currentYear), 0))
+        .attr("aria-valuetext", currentYear);
+    d3.select("#map-year-scrubber-label").text(currentYear);
+    d3.select("#map-year-select").property("value", currentYear);
+    d3.select("#map-fixed-scale").property("checked", fixedColorDomain);
+    d3.select("#map-play-button")
+        .classed("active", playing)
+        .attr("aria-pressed", String(playing))
+        .attr("aria-label", playing ? "Pausar" : "Reproduzir os anos")
+        .text(playing ? "❚❚" : "▶");
+}
+
+function togglePlayback() {
+    if (playbackTimer) {
+        stopPlayback();
+    } else {
+        startPlayback();
+    }
+}
+
+/**
+ * Step through hicpData.years, one year every playbackSpeed ms, on a color domain common to all years
+ */
+function startPlayback() {
+    const years = hicpData?.years || [];
+    if (years.length < 2 || !svg) {
+        return;
+    }
+
+    fixedColorDomain = true;
+    const transition = { duration: playbackSpeed * 0.8 };
+    // Playing from the last year starts over
+    if (years.indexOf(currentYear) >= years.length - 1) {
+        updateChoroplethMap(years[0], currentCategory, transition);
+    } else {
+        updateChoroplethMap(currentYear, currentCategory, transition);
+    }
+
+    playbackTimer = d3.interval(() => {
+        const next = years.indexOf(currentYear) + 1;
+        if (next >= years.length && !d3.select("#map-playback-loop").node()?.checked) {
+            stopPlayback();
+            return;
+        }
+        updateChoroplethMap(years[next % years.length], currentCategory, transition);
+    }, playbackSpeed);
+    syncPlaybackControls();
+}
+
+function stopPlayback() {
+    if (!playbackTimer) {
+        return;
+    }
+    playbackTimer.stop();
+    playbackTimer = null;
+    syncPlaybackControls();
+}
+
+/**
+ * Measure selector, plus the base year (cumulative change) or window (average rate) it takes
+ */
+function setupMeasureControls() {
+    const measure = getMeasure();
+
+    d3.select("#map-measure-select")
+        .on("change", function() {
+            changeMeasure({ measure: this.value });
+        })
+        .selectAll("option")
+        .data(Object.entries(HICP_MEASURES), ([id]) => id)
+        .join("option")
+        .attr("value", ([id]) => id)
+        .text(([, definition]) => definition.label);
+    d3.select("#map-measure-select").property("value", measure.id);
+
+    const paramGroup = d3.select("#map-measure-param-control");
+    const paramSelect = d3.select("#map-measure-param");
+    if (measure.id === "cumulative") {
+        paramGroup.attr("hidden", null);
+        d3.select("#map-measure-param-label").text("Ano base:");
+        paramSelect.selectAll("option")
+            .data(hicpData.indexYears || [], d => d)
+            .join("option")
+            .attr("value", d => d)
+            .text(d => d);
+        paramSelect.property("value", measure.baseYear)
+            .on("change", function() {
+                changeMeasure({ baseYear: +this.value });
+            });
+    } else if (measure.id === "average") {
+        paramGroup.attr("hidden", null);
+        d3.select("#map-measure-param-label").text("Janela:");
+        paramSelect.selectAll("option")
+            .data(AVERAGE_WINDOWS, d => d)
+            .join("option")
+            .attr("value", d => d)
+            .text(d => `${d} anos`);
+        paramSelect.property("value", measure.windowYears)
+            .on("change", function() {
+                changeMeasure({ windowYears: +this.value });
+            });
+    } else {
+        paramGroup.attr("hidden", true);
+    }
+}
+
+async function changeMeasure(options) {
+    measureOptions = { ...measureOptions, ...options };
+    try {
+        const data = await loadHICPData(currentCountry, measureOptions);
+        if (!data) {
+            return;
+        }
+        setupChoroplethControls(data, currentCountry);
+        updateChoroplethMap(currentYear, currentCategory);
+    } catch (error) {
+        console.error("Error changing map measure:", error);
+    }
+}
+
+/**
+ * Map mode selector: the selected measure alone, or annual inflation against minimum wage growth
+ */
+function setupModeControls() {
+    d3.select("#map-mode-select")
+        .on("change", function() {
+            changeMapMode(this.value);
+        })
+        .selectAll("option")
+        .data(MAP_MODES, d => d.value)
+        .join("option")
+        .attr("value", d => d.value)
+        .text(d => d.label);
+    d3.select("#map-mode-select").property("value", mapMode);
+}
+
+// The measure and the classification only apply to the single-variable map
+function syncModeControls() {
+    const bivariate = mapMode === "bivariate";
+    d3.select("#map-measure-control").attr("hidden", bivariate ? true : null);
+    d3.select("#map-classification-control").attr("hidden", bivariate ? true : null);
+    if (bivariate) {
+        d3.select("#map-measure-param-control").attr("hidden", true);
+    }
+}
+
+async function changeMapMode(mode) {
+    if (mode === "bivariate" && !bivariateData) {
+        try {
+            const [inflation, wages] = await Promise.all([
+                loadHICPData(currentCountry, { measure: "yoy" }),
+                loadMinimumWageGrowth()
+            ]);
+            if (!inflation || !wages) {
+                console.warn("Bivariate map skipped: inflation or minimum wage data unavailable");
+                d3.select("#map-mode-select").property("value", mapMode);
+                return;
+            }
+            bivariateData = { inflation, wages };
+        } catch (error) {
+            console.error("Error loading bivariate map data:", error);
+            d3.select("#map-mode-select").property("value", mapMode);
+            return;
+        }
+    }
+
+    mapMode = mode;
+    setupMeasureControls();
+    syncModeControls();
+    updateChoroplethMap(currentYear, currentCategory);
+}
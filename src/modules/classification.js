@@ -0,0 +1,117 @@
+/**
+ * Classification Module
+ * Class breaks for the choropleth: quantiles, equal intervals, Jenks natural breaks or manual thresholds.
+ * Breaks are the inner thresholds between classes, ascending, as d3.scaleThreshold expects them:
+ * a value equal to a threshold belongs to the class above it.
+ */
+
+export const CLASSIFICATION_METHODS = {
+    continuous: { label: "Contínua" },
+    quantile: { label: "Quantis" },
+    "equal-interval": { label: "Intervalos iguais" },
+    jenks: { label: "Quebras naturais (Jenks)" },
+    manual: { label: "Limites manuais" }
+};
+export const CLASS_COUNTS = [3, 4, 5, 6, 7];
+
+/**
+ * Thresholds splitting values into classes
+ *
+ * @param {Array<number>} values - Values to classify
+ * @param {string} method - Key of CLASSIFICATION_METHODS
+ * @param {number} classes - Number of classes (ignored by "manual")
+ * @param {Object} options - {extent}: [min, max] range split by "equal-interval" (defaults to the values' extent);
+ * {manualBreaks}: thresholds for "manual"
+ * @returns {Array<number>|null} Ascending unique thresholds, or null for "continuous" or when no class can be formed
+ */
+export function computeClassBreaks(values, method, classes = 5, { extent = null, manualBreaks = [] } = {}) {
+    const sorted = (values || []).filter(v => v != null && isFinite(v)).sort((a, b) => a - b);
+    if (!sorted.length || method === "continuous" || !CLASSIFICATION_METHODS[method]) {
+        return null;
+    }
+
+    let breaks;
+    if (method === "manual") {
+        breaks = manualBreaks.slice().sort((a, b) => a - b);
+    } else if (method === "quantile") {
+        breaks = d3.range(1, classes).map(i => d3.quantileSorted(sorted, i / classes));
+    } else if (method === "equal-interval") {
+        const [min, max] = extent || [sorted[0], sorted[sorted.length - 1]];
+        breaks = d3.range(1, classes).map(i => min + (i * (max - min)) / classes);
+    } else {
+        breaks = jenksBreaks(sorted, classes);
+    }
+
+    const unique = Array.from(new Set(breaks.filter(v => isFinite(v))));
+    return unique.length ? unique : null;
+}
+
+/**
+ * Parse manual thresholds typed as "2; 5; 10" (commas are decimal separators when semicolons are used) or "2, 5, 10"
+ */
+export function parseManualBreaks(text) {
+    const input = String(text || "");
+    const tokens = input.includes(";")
+        ? input.split(";").map(token => token.replace(",", "."))
+        : input.split(/[,\s]+/);
+    return tokens
+        .map(token => token.trim())
+        .filter(Boolean)
+        .map(Number)
+        .filter(isFinite)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Jenks natural breaks (Fisher's exact optimisation): minimises the sum of squared deviations within classes
+ */
+function jenksBreaks(sorted, classes) {
+    const n = sorted.length;
+    if (n <= classes) {
+        return sorted.slice(1);
+    }
+
+    // lowerLimit[l][j]: 1-based index of the first value of the last class when the first l values form j classes
+    const lowerLimit = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+    const cost = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+    for (let j = 1; j <= classes; j++) {
+        lowerLimit[1][j] = 1;
+        cost[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let deviation = 0;
+
+        for (let m = 1; m <= l; m++) {
+            const first = l - m + 1;
+            const value = sorted[first - 1];
+            sum += value;
+            sumSquares += value * value;
+            deviation = sumSquares - (sum * sum) / m;
+
+            if (first > 1) {
+                for (let j = 2; j <= classes; j++) {
+                    const candidate = deviation + cost[first - 1][j - 1];
+                    if (candidate <= cost[l][j]) {
+                        lowerLimit[l][j] = first;
+                        cost[l][j] = candidate;
+                    }
+                }
+            }
+        }
+
+        lowerLimit[l][1] = 1;
+        cost[l][1] = deviation;
+    }
+
+    const breaks = [];
+    let last = n;
+    for (let j = classes; j >= 2; j--) {
+        const first = lowerLimit[last][j];
+        breaks.unshift(sorted[first - 1]);
+        last = first - 1;
+    }
+    return breaks;
+}
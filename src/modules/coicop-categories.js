@@ -0,0 +1,119 @@
+/**
+ * COICOP Categories Module
+ * Single source of truth for the inflation categories (ECOICOP divisions CP01–CP12, CP00 for the total).
+ * Datasets are normalized to these entries so charts look categories up by code rather than by the
+ * Portuguese label, which PORDATA spells differently across files (e.g. "electricidade" / "eletricidade").
+ */
+
+export const TOTAL_CATEGORY = "CP00";
+
+const CATEGORIES = [
+    { code: "CP00", pt: "Total", en: "All-items", short: "Total", aliases: ["Índice total", "All-items HICP"] },
+    { code: "CP01", pt: "Produtos alimentares e bebidas não alcoólicas", en: "Food and non-alcoholic beverages", short: "Alimentação" },
+    { code: "CP02", pt: "Bebidas alcoólicas e tabaco", en: "Alcoholic beverages and tobacco", short: "Álcool e tabaco" },
+    { code: "CP03", pt: "Vestuário e calçado", en: "Clothing and footwear", short: "Vestuário" },
+    {
+        code: "CP04",
+        pt: "Habitação, água, eletricidade, gás e outros combustíveis",
+        en: "Housing, water, electricity, gas and other fuels",
+        short: "Habitação",
+        // Spelling from before the 1990 orthographic agreement, still used by inflacao_portugal_europa.csv and HICP.csv
+        aliases: ["Habitação, água, electricidade, gás e outros combustíveis"]
+    },
+    {
+        code: "CP05",
+        pt: "Acessórios para o lar, equipamento doméstico e manutenção corrente da habitação",
+        en: "Furnishings, household equipment and routine household maintenance",
+        short: "Equipamento doméstico"
+    },
+    { code: "CP06", pt: "Saúde", en: "Health", short: "Saúde" },
+    { code: "CP07", pt: "Transportes", en: "Transport", short: "Transportes" },
+    { code: "CP08", pt: "Comunicações", en: "Communications", short: "Comunicações" },
+    { code: "CP09", pt: "Lazer, recreação e cultura", en: "Recreation and culture", short: "Lazer e cultura", aliases: ["Lazer, recreio e cultura"] },
+    { code: "CP10", pt: "Educação", en: "Education", short: "Educação" },
+    { code: "CP11", pt: "Restaurantes e hotéis", en: "Restaurants and hotels", short: "Restauração e alojamento" },
+    { code: "CP12", pt: "Bens e serviços diversos", en: "Miscellaneous goods and services", short: "Bens e serviços diversos" }
+];
+
+const lookup = new Map();
+const mismatches = new Map();
+
+function normalizeKey(value) {
+    return String(value)
+        .trim()
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/\s+/g, " ");
+}
+
+CATEGORIES.forEach(entry => {
+    Object.freeze(entry);
+    [entry.code, entry.pt, entry.en, ...(entry.aliases || [])].forEach(key => {
+        lookup.set(normalizeKey(key), entry);
+    });
+});
+
+/**
+ * Resolve a COICOP code, Portuguese/English label or known spelling variant to its registry entry
+ * Unknown inputs are recorded as mismatches (see getCategoryMismatches) and resolve to null
+ *
+ * @param {string} input - Code ("CP04"), label or alias
+ * @param {string} context - Where the lookup came from, reported alongside mismatches
+ * @returns {Object|null} Registry entry {code, pt, en, short, aliases}
+ */
+export function resolveCategory(input, context = "unknown") {
+    if (input == null || input === "") {
+        return null;
+    }
+
+    const entry = lookup.get(normalizeKey(input));
+    if (entry) {
+        return entry;
+    }
+
+    reportMismatch(String(input), context);
+    return null;
+}
+
+/**
+ * Label for a code or label, in Portuguese (default), English or the short Portuguese form
+ * Unknown categories are returned as given.
+ *
+ * @param {string} input - Code or label
+ * @param {string} variant - "pt", "en" or "short"
+ */
+export function getCategoryLabel(input, variant = "pt") {
+    const entry = resolveCategory(input, "label");
+    return entry ? entry[variant] ?? entry.pt : input;
+}
+
+/**
+ * All registry entries, total first, in COICOP order
+ */
+export function listCategories() {
+    return CATEGORIES.slice();
+}
+
+/**
+ * Inputs that could not be resolved so far, with the contexts that requested them
+ */
+export function getCategoryMismatches() {
+    return Array.from(mismatches.values()).map(entry => ({
+        input: entry.input,
+        contexts: Array.from(entry.contexts),
+        count: entry.count
+    }));
+}
+
+function reportMismatch(input, context) {
+    const existing = mismatches.get(input);
+    if (existing) {
+        existing.count++;
+        existing.contexts.add(context);
+        return;
+    }
+
+    mismatches.set(input, { input, contexts: new Set([context]), count: 1 });
+    console.warn(`[coicop-categories] Unknown category "${input}" (${context})`);
+}
@@ -3,8 +3,11 @@
  * Allows selecting two countries and comparing key indicators
  */
 
-import { getAvailableCountries, loadCountryComparisonSnapshot, calculateRealWage } from './data-loader.js';
+import { getAvailableCountries, loadCountryComparisonSnapshot, deflateWithPriceIndex, describeImputedInflation, periodToTime, formatPeriodLabel, DEFAULT_WAGE_SERIES, DEFAULT_DEFLATOR } from './data-loader.js';
 import { renderEmptyState } from './empty-state.js';
+import { resolveCountry } from './country-registry.js';
+import { getObservationNotes, describeObservationNotes, drawObservationGlyphs, renderObservationLegend } from './observation-flags.js';
+import { drawEventMarkers } from './event-annotations.js';
 
 const BASE_COUNTRY = "Portugal";
 const DEFAULT_SECONDARY_COUNTRY = "Espanha";
@@ -20,7 +23,9 @@ const state = {
     countries: [],
     selected: { a: BASE_COUNTRY, b: null },
     data: { a: null, b: null },
-    normalized: null
+    normalized: null,
+    wageSeries: DEFAULT_WAGE_SERIES,
+    deflator: DEFAULT_DEFLATOR
 };
 
 let comparisonModuleReady = false;
@@ -83,13 +88,51 @@ export async function syncComparisonCountry(country) {
     await applyComparisonSelection(pendingComparisonSelection);
 }
 
+/**
+ * Switch the Portuguese minimum wage series (see PORTUGAL_WAGE_SERIES) used by the reference card
+ */
+export async function setComparisonWageSeries(seriesId) {
+    state.wageSeries = seriesId || DEFAULT_WAGE_SERIES;
+    if (!comparisonModuleReady) {
+        return;
+    }
+    await refreshSide('a', state.selected.a);
+}
+
+/**
+ * Switch the deflator (a category or basket, see getDeflator) used for real wages on both sides
+ */
+export async function setComparisonDeflator(deflatorId) {
+    state.deflator = deflatorId || DEFAULT_DEFLATOR;
+    await refreshComparison();
+}
+
+/**
+ * Reload both cards, e.g. after the inflation source or gap policy changed
+ */
+export async function refreshComparison() {
+    if (!comparisonModuleReady) {
+        return;
+    }
+    await refreshSide('a', state.selected.a);
+    await refreshSide('b', state.selected.b);
+}
+
+/**
+ * Redraw the wage timeline, e.g. after the event annotations changed
+ */
+export function refreshComparisonTimeline() {
+    if (comparisonModuleReady) {
+        renderWageTimeline();
+    }
+}
+
 /**
  * Renders the complete HTML layout for the country comparison module
  * Creates a comprehensive comparison interface with control panels, metric cards, text summaries,
  * and placeholder containers for charts. The layout includes sections for country selection,
  * side-by-side comparison cards showing inflation and wage metrics, differential analysis text,
- * a quadrant scatter plot, and a dumbbell chart for real wage comparison.
- * Total: 68 lines of template HTML covering controls, cards, summaries, and chart containers.
+ * a quadrant scatter plot, a dumbbell chart for real wage comparison and the nominal wage timeline.
  *
  * @param {d3.Selection} container - D3 selection of the container element to render into
  */
@@ -160,6 +203,16 @@ function renderLayout(container) {
                 <div class="comparison-chart-empty">Selecione um país para comparar salários reais.</div>
             </div>
         </div>
+
+        <div class="real-wage-chart-wrapper">
+            <div class="comparison-chart-header">
+                <h4>Evolução do salário mínimo nominal</h4>
+                <p>Cada ponto é um valor publicado: anual (PORDATA) ou semestral (Eurostat), para que os aumentos a meio do ano fiquem visíveis.</p>
+            </div>
+            <div id="wage-timeline-chart" class="wage-timeline-chart">
+                <div class="comparison-chart-empty">Selecione um país para ver a evolução salarial.</div>
+            </div>
+        </div>
     `);
 }
 
@@ -219,9 +272,12 @@ function normalizeToKnownCountry(countryName, list = state.countries) {
     if (!countryName || !countryName.trim()) {
         return null;
     }
-    const trimmed = countryName.trim();
-    const match = list?.find(entry => entry.toLowerCase() === trimmed.toLowerCase());
-    return match || trimmed;
+    const entry = resolveCountry(countryName, 'country-comparison');
+    if (!entry) {
+        return null;
+    }
+    const match = list?.find(name => resolveCountry(name, 'country-comparison') === entry);
+    return match || entry.pt;
 }
 
 function updateComparisonSelectedLabel(country) {
@@ -288,7 +344,7 @@ async function refreshSide(side, country) {
         return;
     }
 
-    const snapshot = await loadCountryComparisonSnapshot(country);
+    const snapshot = await loadCountryComparisonSnapshot(country, state.wageSeries, state.deflator);
     state.data[side] = snapshot;
 
     if (!snapshot) {
@@ -302,6 +358,7 @@ async function refreshSide(side, country) {
     updateDiffSummary();
     renderComparisonChart();
     renderRealWageDumbbell();
+    renderWageTimeline();
 }
 
 function setCardLoading(card, isLoading) {
@@ -331,7 +388,7 @@ function renderCard(card, snapshot) {
         metaParts.push(`Inflação: ${snapshot.inflation.year}`);
     }
     if (snapshot.wage?.year) {
-        metaParts.push(`Salário: ${snapshot.wage.year}`);
+        metaParts.push(`Salário: ${formatPeriodLabel(snapshot.wage.period ?? snapshot.wage.year)}`);
     }
     card.select('[data-field="updated-meta"]').text(metaParts.join(' • '));
 
@@ -346,16 +403,24 @@ function renderCard(card, snapshot) {
     if (snapshot.wage?.nominal != null) {
         card.select('[data-field="wage-nominal"]').text(formatCurrency(snapshot.wage.nominal));
         const nominalMeta = snapshot.wage.year
-            ? `Valor nominal em ${snapshot.wage.year}`
+            ? `Valor nominal em ${formatPeriodLabel(snapshot.wage.period ?? snapshot.wage.year)}`
             : 'Valor nominal mais recente disponível';
         card.select('[data-field="wage-meta"]').text(nominalMeta);
 
         const realValue = snapshot.wage.real != null ? snapshot.wage.real : null;
         card.select('[data-field="wage-real"]').text(realValue != null ? formatCurrency(realValue) : '—');
+        const deflatorNote = snapshot.deflator && snapshot.deflator.id !== DEFAULT_DEFLATOR
+            ? `ajustado por ${snapshot.deflator.shortLabel}`
+            : 'ajustado pela inflação';
         const realMeta = snapshot.wage.baseYear
-            ? `Base ${snapshot.wage.baseYear} = 100 (ajustado pela inflação)`
+            ? `Base ${snapshot.wage.baseYear} = 100 (${deflatorNote})`
             : 'Base não disponível';
-        card.select('[data-field="wage-real-meta"]').text(realMeta);
+        const imputedNote = realValue != null && snapshot.wage.imputedInflation?.length
+            ? ` • Inflação imputada: ${describeImputedInflation(snapshot.wage.imputedInflation)}`
+            : '';
+        card.select('[data-field="wage-real-meta"]')
+            .text(realMeta + imputedNote)
+            .classed('has-imputed-inflation', !!imputedNote);
 
         const indexLabelText = snapshot.wage.baseYear
             ? `Índice real (base ${snapshot.wage.baseYear} = 100)`
@@ -563,13 +628,15 @@ function renderComparisonChart() {
             key: 'base',
             label: getCountryLabel('a'),
             inflation: safeNumber(state.data.a?.inflation?.value),
-            wageIndex: safeNumber(state.normalized?.a?.wageIndex ?? state.data.a?.wage?.index)
+            wageIndex: safeNumber(state.normalized?.a?.wageIndex ?? state.data.a?.wage?.index),
+            notes: getObservationNotes(state.data.a?.inflation, state.data.a?.wage)
         },
         {
             key: 'compare',
             label: getCountryLabel('b'),
             inflation: safeNumber(state.data.b?.inflation?.value),
-            wageIndex: safeNumber(state.normalized?.b?.wageIndex ?? state.data.b?.wage?.index)
+            wageIndex: safeNumber(state.normalized?.b?.wageIndex ?? state.data.b?.wage?.index),
+            notes: getObservationNotes(state.data.b?.inflation, state.data.b?.wage)
         }
     ];
 
@@ -724,7 +791,18 @@ function renderComparisonChart() {
         .attr('stroke', 'white')
         .attr('stroke-width', 2)
         .append('title')
-        .text(d => `${d.label}: ${formatPercent(d.inflation)} | ${formatIndex(d.wageIndex)}`);
+        .text(d => [
+            `${d.label}: ${formatPercent(d.inflation)} | ${formatIndex(d.wageIndex)}`,
+            describeObservationNotes(d.notes)
+        ].filter(Boolean).join('\n'));
+
+    drawObservationGlyphs(pointGroup.append('g'), dataPoints, {
+        x: d => xScale(d.inflation),
+        y: d => yScale(d.wageIndex),
+        getNotes: d => d.notes,
+        size: 900,
+        fill: 'none'
+    });
 
     const labelSettings = computeLabelSettings(dataPoints, xScale, yScale);
 
@@ -757,6 +835,8 @@ function renderComparisonChart() {
         .attr('y', 10)
         .text(d => d.label)
         .attr('class', 'comparison-legend-label');
+
+    renderObservationLegend(chartContainer, dataPoints.flatMap(d => d.notes));
 }
 
 /**
@@ -786,12 +866,14 @@ function renderRealWageDumbbell() {
         {
             key: 'base',
             label: getCountryLabel('a'),
-            value: getRealWageValue('a')
+            value: getRealWageValue('a'),
+            notes: getObservationNotes(state.data.a?.wage)
         },
         {
             key: 'compare',
             label: getCountryLabel('b'),
-            value: getRealWageValue('b')
+            value: getRealWageValue('b'),
+            notes: getObservationNotes(state.data.b?.wage)
         }
     ];
 
@@ -859,7 +941,18 @@ function renderRealWageDumbbell() {
         .attr('cx', d => xScale(d.value))
         .attr('cy', centerY)
         .attr('r', 14)
-        .attr('fill', d => colorScale(d.key));
+        .attr('fill', d => colorScale(d.key))
+        .filter(d => describeObservationNotes(d.notes))
+        .append('title')
+        .text(d => describeObservationNotes(d.notes));
+
+    drawObservationGlyphs(root.append('g'), dataPoints, {
+        x: d => xScale(d.value),
+        y: () => centerY,
+        getNotes: d => d.notes,
+        size: 1600,
+        fill: 'none'
+    });
 
     root.selectAll('.dumbbell-value-label')
         .data(dataPoints)
@@ -888,6 +981,153 @@ function renderRealWageDumbbell() {
         .attr('y', 0)
         .attr('text-anchor', 'middle')
         .text(baseYearNote);
+
+    renderObservationLegend(container, dataPoints.flatMap(d => d.notes));
+}
+
+/**
+ * Plots the nominal minimum wage of both countries over time, one point per published period
+ * Semesters sit at the middle of each half-year, so both values of a year are shown side by side.
+ */
+function renderWageTimeline() {
+    const container = d3.select('#wage-timeline-chart');
+    if (container.empty()) {
+        return;
+    }
+
+    container.selectAll('*').remove();
+
+    const series = ['a', 'b']
+        .map(side => ({
+            key: side === 'a' ? 'base' : 'compare',
+            label: getCountryLabel(side),
+            points: (state.data[side]?.wageTimeline || [])
+                .filter(entry => entry.nominal != null)
+                .map(entry => ({ ...entry, time: periodToTime(entry.period ?? entry.year) }))
+        }))
+        .filter(entry => entry.points.length);
+
+    if (!series.length) {
+        container.append('div')
+            .attr('class', 'comparison-chart-empty')
+            .text('Ainda não existem valores de salário mínimo para estes países.');
+        return;
+    }
+
+    // Start where every plotted country has data, so a long national series does not squash the other one
+    const startTime = Math.floor(d3.max(series, entry => entry.points[0].time));
+    series.forEach(entry => {
+        entry.points = entry.points.filter(point => point.time >= startTime);
+    });
+
+    const width = container.node().clientWidth || 640;
+    const height = 280;
+    const margin = { top: 30, right: 30, bottom: 45, left: 70 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+
+    const allPoints = series.flatMap(entry => entry.points);
+    const [minTime, maxTime] = d3.extent(allPoints, point => point.time);
+
+    const xScale = d3.scaleLinear()
+        .domain([Math.floor(minTime), Math.ceil(maxTime)])
+        .range([0, innerWidth]);
+
+    const yScale = d3.scaleLinear()
+        .domain([0, d3.max(allPoints, point => point.nominal) * 1.1])
+        .nice()
+        .range([innerHeight, 0]);
+
+    const svg = container.append('svg')
+        .attr('viewBox', `0 0 ${width} ${height}`)
+        .attr('role', 'img');
+
+    const root = svg.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    root.append('g')
+        .attr('class', 'comparison-chart-grid')
+        .call(d3.axisLeft(yScale).tickSize(-innerWidth).tickFormat(''))
+        .selectAll('line')
+        .attr('stroke', 'rgba(15, 23, 42, 0.1)');
+
+    // Economic events of either country, and the user's annotations
+    drawEventMarkers(root, { xScale, height: innerHeight, countries: [state.selected.a, state.selected.b] });
+
+    root.append('g')
+        .attr('class', 'comparison-chart-y-axis')
+        .call(d3.axisLeft(yScale).ticks(5).tickFormat(value => currencyFormatter.format(value)));
+
+    const yearSpan = Math.ceil(maxTime) - Math.floor(minTime);
+    root.append('g')
+        .attr('class', 'comparison-chart-x-axis')
+        .attr('transform', `translate(0, ${innerHeight})`)
+        .call(d3.axisBottom(xScale).ticks(Math.min(yearSpan, 10)).tickFormat(d3.format('d')));
+
+    const colorScale = d3.scaleOrdinal()
+        .domain(['base', 'compare'])
+        .range(['#16a34a', '#2563eb']);
+
+    const line = d3.line()
+        .x(point => xScale(point.time))
+        .y(point => yScale(point.nominal));
+
+    series.forEach(entry => {
+        const group = root.append('g')
+            .attr('class', `wage-timeline-series wage-timeline-${entry.key}`);
+
+        group.append('path')
+            .datum(entry.points)
+            .attr('fill', 'none')
+            .attr('stroke', colorScale(entry.key))
+            .attr('stroke-width', 2.5)
+            .attr('d', line);
+
+        group.selectAll('circle')
+            .data(entry.points)
+            .join('circle')
+            .attr('cx', point => xScale(point.time))
+            .attr('cy', point => yScale(point.nominal))
+            .attr('r', 4)
+            .attr('fill', colorScale(entry.key))
+            .attr('stroke', 'white')
+            .attr('stroke-width', 1.5)
+            .append('title')
+            .text(point => [
+                `${entry.label} · ${formatPeriodLabel(point.period ?? point.year)}: ${formatCurrency(point.nominal)}`,
+                describeObservationNotes(getObservationNotes(point))
+            ].filter(Boolean).join('\n'));
+
+        drawObservationGlyphs(group.append('g'), entry.points, {
+            x: point => xScale(point.time),
+            y: point => yScale(point.nominal),
+            color: colorScale(entry.key),
+            size: 60
+        });
+    });
+
+    const legend = root.append('g')
+        .attr('class', 'comparison-chart-legend')
+        .attr('transform', `translate(0, ${-margin.top / 1.5})`);
+
+    const legendItem = legend.selectAll('g')
+        .data(series)
+        .join('g')
+        .attr('transform', (_, index) => `translate(${index * 160}, 0)`);
+
+    legendItem.append('circle')
+        .attr('r', 6)
+        .attr('cx', 6)
+        .attr('cy', 6)
+        .attr('fill', d => colorScale(d.key));
+
+    legendItem.append('text')
+        .attr('x', 20)
+        .attr('y', 10)
+        .text(d => d.label)
+        .attr('class', 'comparison-legend-label');
+
+    renderObservationLegend(container, allPoints.flatMap(point => getObservationNotes(point)));
 }
 
 function recomputeAlignment() {
@@ -937,7 +1177,7 @@ function findSharedBaseYear(snapshotA, snapshotB) {
 }
 
 function computeAlignedMetrics(snapshot, baseYear) {
-    if (!snapshot?.wage || !snapshot.wageTimeline?.length || !snapshot.inflationSeries?.length) {
+    if (!snapshot?.wage || !snapshot.wageTimeline?.length || !snapshot.priceIndex) {
         return null;
     }
 
@@ -946,28 +1186,23 @@ function computeAlignedMetrics(snapshot, baseYear) {
         return null;
     }
 
-    const inflationDataset = {
-        categories: [{
-            name: 'Total',
-            values: snapshot.inflationSeries
-        }]
-    };
-
     const latestYear = snapshot.wage.year;
     const nominalLatest = snapshot.wage.nominal;
     if (nominalLatest == null || latestYear == null) {
         return null;
     }
 
-    const realLatest = calculateRealWage(nominalLatest, inflationDataset, latestYear, baseYear);
-    if (realLatest == null) {
+    // The snapshot's price index is only rebased to the shared year
+    const realLatest = deflateWithPriceIndex(nominalLatest, snapshot.priceIndex, snapshot.wage.period ?? latestYear, baseEntry.period ?? baseYear);
+    if (realLatest?.value == null) {
         return null;
     }
 
     return {
-        wageIndex: (realLatest / baseEntry.nominal) * 100,
-        alignedReal: realLatest,
-        baseNominal: baseEntry.nominal
+        wageIndex: (realLatest.value / baseEntry.nominal) * 100,
+        alignedReal: realLatest.value,
+        baseNominal: baseEntry.nominal,
+        imputedInflation: realLatest.imputedYears
     };
 }
 
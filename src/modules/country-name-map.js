@@ -1,42 +0,0 @@
-export const countryNameMap = {
-    "Albânia": "Albania",
-    "Alemanha": "Germany",
-    "Áustria": "Austria",
-    "Bélgica": "Belgium",
-    "Bulgária": "Bulgaria",
-    "Chipre": "Cyprus",
-    "Croácia": "Croatia",
-    "Dinamarca": "Denmark",
-    "Eslováquia": "Slovakia",
-    "Eslovénia": "Slovenia",
-    "Espanha": "Spain",
-    "Estados Unidos": "United States",
-    "Estónia": "Estonia",
-    "Finlândia": "Finland",
-    "França": "France",
-    "Grécia": "Greece",
-    "Hungria": "Hungary",
-    "Irlanda": "Ireland",
-    "Islândia": "Iceland",
-    "Itália": "Italy",
-    "Letónia": "Latvia",
-    "Lituânia": "Lithuania",
-    "Luxemburgo": "Luxembourg",
-    "Macedónia do Norte": "North Macedonia",
-    "Malta": "Malta",
-    "Moldávia": "Moldova",
-    "Montenegro": "Montenegro",
-    "Noruega": "Norway",
-    "Países Baixos": "Netherlands",
-    "Polónia": "Poland",
-    "Portugal": "Portugal",
-    "Reino Unido": "United Kingdom",
-    "República Checa": "Czechia",
-    "Roménia": "Romania",
-    "Sérvia": "Serbia",
-    "Síria": "Syria",
-    "Suécia": "Sweden",
-    "Suíça": "Switzerland",
-    "Turquia": "Turkey",
-    "Ucrânia": "Ukraine"
-};
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Country Registry Module
+ * Single source of truth for country identity across datasets and map geometries.
+ * Entries are keyed by ISO 3166 codes (alpha-2, alpha-3 and the numeric ids used by the TopoJSON features)
+ * and carry the Portuguese (PORDATA), English and Eurostat names plus known aliases.
+ * `euro` is the year the euro became the national currency (including countries that adopted it unilaterally).
+ */
+
+const COUNTRIES = [
+    { iso2: "AL", iso3: "ALB", numeric: "008", pt: "Albânia", en: "Albania", eurostat: "Albania" },
+    { iso2: "DE", iso3: "DEU", numeric: "276", pt: "Alemanha", en: "Germany", eurostat: "Germany", euro: 1999 },
+    { iso2: "AD", iso3: "AND", numeric: "020", pt: "Andorra", en: "Andorra", eurostat: "Andorra", euro: 2002 },
+    { iso2: "AM", iso3: "ARM", numeric: "051", pt: "Arménia", en: "Armenia", eurostat: "Armenia" },
+    { iso2: "AT", iso3: "AUT", numeric: "040", pt: "Áustria", en: "Austria", eurostat: "Austria", euro: 1999 },
+    { iso2: "BE", iso3: "BEL", numeric: "056", pt: "Bélgica", en: "Belgium", eurostat: "Belgium", euro: 1999 },
+    { iso2: "BY", iso3: "BLR", numeric: "112", pt: "Bielorrússia", en: "Belarus", eurostat: "Belarus" },
+    { iso2: "BA", iso3: "BIH", numeric: "070", pt: "Bósnia e Herzegovina", en: "Bosnia and Herzegovina", eurostat: "Bosnia and Herzegovina", aliases: ["Bosnia and Herz."] },
+    { iso2: "BG", iso3: "BGR", numeric: "100", pt: "Bulgária", en: "Bulgaria", eurostat: "Bulgaria", euro: 2026 },
+    { iso2: "CZ", iso3: "CZE", numeric: "203", pt: "Chéquia", en: "Czechia", eurostat: "Czechia", aliases: ["República Checa", "Czech Republic"] },
+    { iso2: "CY", iso3: "CYP", numeric: "196", pt: "Chipre", en: "Cyprus", eurostat: "Cyprus", euro: 2008 },
+    { iso2: "HR", iso3: "HRV", numeric: "191", pt: "Croácia", en: "Croatia", eurostat: "Croatia", euro: 2023 },
+    { iso2: "DK", iso3: "DNK", numeric: "208", pt: "Dinamarca", en: "Denmark", eurostat: "Denmark" },
+    { iso2: "SK", iso3: "SVK", numeric: "703", pt: "Eslováquia", en: "Slovakia", eurostat: "Slovakia", euro: 2009 },
+    { iso2: "SI", iso3: "SVN", numeric: "705", pt: "Eslovénia", en: "Slovenia", eurostat: "Slovenia", euro: 2007 },
+    { iso2: "ES", iso3: "ESP", numeric: "724", pt: "Espanha", en: "Spain", eurostat: "Spain", euro: 1999 },
+    { iso2: "US", iso3: "USA", numeric: "840", pt: "Estados Unidos", en: "United States", eurostat: "United States" },
+    { iso2: "EE", iso3: "EST", numeric: "233", pt: "Estónia", en: "Estonia", eurostat: "Estonia", euro: 2011 },
+    { iso2: "FI", iso3: "FIN", numeric: "246", pt: "Finlândia", en: "Finland", eurostat: "Finland", euro: 1999 },
+    { iso2: "FR", iso3: "FRA", numeric: "250", pt: "França", en: "France", eurostat: "France", euro: 1999 },
+    { iso2: "GE", iso3: "GEO", numeric: "268", pt: "Geórgia", en: "Georgia", eurostat: "Georgia" },
+    { iso2: "GR", iso3: "GRC", numeric: "300", pt: "Grécia", en: "Greece", eurostat: "Greece", aliases: ["EL"], euro: 2001 },
+    { iso2: "GG", iso3: "GGY", numeric: "831", pt: "Guernsey", en: "Guernsey", eurostat: "Guernsey" },
+    { iso2: "HU", iso3: "HUN", numeric: "348", pt: "Hungria", en: "Hungary", eurostat: "Hungary" },
+    { iso2: "AX", iso3: "ALA", numeric: "248", pt: "Ilhas Åland", en: "Åland Islands", eurostat: "Åland Islands", aliases: ["Åland"] },
+    { iso2: "FO", iso3: "FRO", numeric: "234", pt: "Ilhas Faroé", en: "Faroe Islands", eurostat: "Faroe Islands", aliases: ["Faeroe Is."] },
+    { iso2: "IM", iso3: "IMN", numeric: "833", pt: "Ilha de Man", en: "Isle of Man", eurostat: "Isle of Man" },
+    { iso2: "IE", iso3: "IRL", numeric: "372", pt: "Irlanda", en: "Ireland", eurostat: "Ireland", euro: 1999 },
+    { iso2: "IS", iso3: "ISL", numeric: "352", pt: "Islândia", en: "Iceland", eurostat: "Iceland" },
+    { iso2: "IT", iso3: "ITA", numeric: "380", pt: "Itália", en: "Italy", eurostat: "Italy", euro: 1999 },
+    { iso2: "JE", iso3: "JEY", numeric: "832", pt: "Jersey", en: "Jersey", eurostat: "Jersey" },
+    { iso2: "XK", iso3: "XKX", numeric: null, pt: "Kosovo", en: "Kosovo", eurostat: "Kosovo*", euro: 2002 },
+    { iso2: "LV", iso3: "LVA", numeric: "428", pt: "Letónia", en: "Latvia", eurostat: "Latvia", euro: 2014 },
+    { iso2: "LI", iso3: "LIE", numeric: "438", pt: "Liechtenstein", en: "Liechtenstein", eurostat: "Liechtenstein" },
+    { iso2: "LT", iso3: "LTU", numeric: "440", pt: "Lituânia", en: "Lithuania", eurostat: "Lithuania", euro: 2015 },
+    { iso2: "LU", iso3: "LUX", numeric: "442", pt: "Luxemburgo", en: "Luxembourg", eurostat: "Luxembourg", euro: 1999 },
+    { iso2: "MK", iso3: "MKD", numeric: "807", pt: "Macedónia do Norte", en: "North Macedonia", eurostat: "North Macedonia", aliases: ["Macedonia"] },
+    { iso2: "MT", iso3: "MLT", numeric: "470", pt: "Malta", en: "Malta", eurostat: "Malta", euro: 2008 },
+    { iso2: "MD", iso3: "MDA", numeric: "498", pt: "Moldávia", en: "Moldova", eurostat: "Moldova" },
+    { iso2: "MC", iso3: "MCO", numeric: "492", pt: "Mónaco", en: "Monaco", eurostat: "Monaco", euro: 2002 },
+    { iso2: "ME", iso3: "MNE", numeric: "499", pt: "Montenegro", en: "Montenegro", eurostat: "Montenegro", euro: 2002 },
+    { iso2: "NO", iso3: "NOR", numeric: "578", pt: "Noruega", en: "Norway", eurostat: "Norway" },
+    { iso2: "NL", iso3: "NLD", numeric: "528", pt: "Países Baixos", en: "Netherlands", eurostat: "Netherlands", aliases: ["Holanda"], euro: 1999 },
+    { iso2: "PL", iso3: "POL", numeric: "616", pt: "Polónia", en: "Poland", eurostat: "Poland" },
+    { iso2: "PT", iso3: "PRT", numeric: "620", pt: "Portugal", en: "Portugal", eurostat: "Portugal", euro: 1999 },
+    { iso2: "GB", iso3: "GBR", numeric: "826", pt: "Reino Unido", en: "United Kingdom", eurostat: "United Kingdom", aliases: ["UK"] },
+    { iso2: "RO", iso3: "ROU", numeric: "642", pt: "Roménia", en: "Romania", eurostat: "Romania" },
+    { iso2: "RU", iso3: "RUS", numeric: "643", pt: "Rússia", en: "Russia", eurostat: "Russia" },
+    { iso2: "SM", iso3: "SMR", numeric: "674", pt: "São Marinho", en: "San Marino", eurostat: "San Marino", euro: 2002 },
+    { iso2: "RS", iso3: "SRB", numeric: "688", pt: "Sérvia", en: "Serbia", eurostat: "Serbia" },
+    { iso2: "SY", iso3: "SYR", numeric: "760", pt: "Síria", en: "Syria", eurostat: "Syria" },
+    { iso2: "SE", iso3: "SWE", numeric: "752", pt: "Suécia", en: "Sweden", eurostat: "Sweden" },
+    { iso2: "CH", iso3: "CHE", numeric: "756", pt: "Suíça", en: "Switzerland", eurostat: "Switzerland" },
+    { iso2: "TR", iso3: "TUR", numeric: "792", pt: "Turquia", en: "Türkiye", eurostat: "Türkiye", aliases: ["Turkey"] },
+    { iso2: "UA", iso3: "UKR", numeric: "804", pt: "Ucrânia", en: "Ukraine", eurostat: "Ukraine" },
+    { iso2: "VA", iso3: "VAT", numeric: "336", pt: "Vaticano", en: "Vatican City", eurostat: "Holy See", aliases: ["Vatican"], euro: 2002 }
+];
+
+const lookup = new Map();
+const mismatches = new Map();
+
+function normalizeKey(value) {
+    return String(value)
+        .trim()
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "");
+}
+
+COUNTRIES.forEach(entry => {
+    Object.freeze(entry);
+    const keys = [entry.iso2, entry.iso3, entry.numeric, entry.pt, entry.en, entry.eurostat, ...(entry.aliases || [])];
+    keys.filter(Boolean).forEach(key => {
+        lookup.set(normalizeKey(key), entry);
+    });
+});
+
+/**
+ * Resolve a name, ISO code or numeric TopoJSON id to its registry entry
+ * Unknown inputs are recorded as mismatches (see getCountryMismatches) and resolve to null
+ *
+ * @param {string|number} input - Portuguese/English/Eurostat name, alias, ISO alpha-2/alpha-3 or numeric id
+ * @param {string} context - Where the lookup came from, reported alongside mismatches
+ * @returns {Object|null} Registry entry {iso2, iso3, numeric, pt, en, eurostat, aliases, euro}
+ */
+export function resolveCountry(input, context = "unknown") {
+    if (input == null || input === "") {
+        return null;
+    }
+
+    const key = typeof input === "number"
+        ? String(input).padStart(3, "0")
+        : normalizeKey(input);
+
+    const entry = lookup.get(key);
+    if (entry) {
+        return entry;
+    }
+
+    reportMismatch(String(input), context);
+    return null;
+}
+
+/**
+ * Resolve a TopoJSON/GeoJSON feature through its numeric id, falling back to its name property
+ */
+export function resolveFeatureCountry(feature, context = "map") {
+    if (!feature) {
+        return null;
+    }
+    if (feature.id != null && lookup.has(normalizeKey(feature.id))) {
+        return lookup.get(normalizeKey(feature.id));
+    }
+    return resolveCountry(feature.properties?.name, context);
+}
+
+/**
+ * Name of a country in the requested variant ("pt", "en" or "eurostat"), or null when unknown
+ */
+export function getCountryName(input, variant = "pt", context = "unknown") {
+    const entry = resolveCountry(input, context);
+    return entry ? entry[variant] : null;
+}
+
+/**
+ * Portuguese display label; unknown inputs are reported and shown as received
+ */
+export function getCountryDisplayName(input, context = "display") {
+    return getCountryName(input, "pt", context) ?? input;
+}
+
+/**
+ * True when both inputs resolve to the same registry entry
+ */
+export function isSameCountry(a, b) {
+    const entryA = resolveCountry(a, "comparison");
+    return !!entryA && entryA === resolveCountry(b, "comparison");
+}
+
+/**
+ * True when the euro was the country's national currency throughout the given year
+ */
+export function usesEuro(input, year) {
+    const entry = resolveCountry(input, "currency");
+    return entry?.euro != null && entry.euro <= year;
+}
+
+export function listCountries() {
+    return COUNTRIES.slice();
+}
+
+/**
+ * Inputs that could not be resolved so far, with the contexts that requested them
+ */
+export function getCountryMismatches() {
+    return Array.from(mismatches.values()).map(entry => ({
+        input: entry.input,
+        contexts: Array.from(entry.contexts),
+        count: entry.count
+    }));
+}
+
+function reportMismatch(input, context) {
+    const existing = mismatches.get(input);
+    if (existing) {
+        existing.count++;
+        existing.contexts.add(context);
+        return;
+    }
+
+    mismatches.set(input, { input, contexts: new Set([context]), count: 1 });
+    console.warn(`[country-registry] Unknown country "${input}" (${context})`);
+}
@@ -1,5 +1,8 @@
-import { countryNameMap } from './country-name-map.js';
+import { resolveCountry, resolveFeatureCountry, listCountries } from './country-registry.js';
 import { renderEmptyState } from './empty-state.js';
+import { attachMapZoom, addMicrostateSymbols } from './map-zoom.js';
+import { loadEuropeGeometry, getGeometryDetail } from './geo-loader.js';
+import { getAvailableCountries } from './data-loader.js';
 
 let svg = null;
 let path = null;
@@ -15,23 +18,8 @@ const selectedStrokeWidth = 3.5;
 const bgGradientColor1 = '#fefefe';
 const bgGradientColor2 = '#f0f9ff';
 
-function resolveToPortuguese(name) {
-    if (!name) {
-        return null;
-    }
-    if (countryNameMap[name] !== undefined) {
-        return name;
-    }
-    for (const [portuguese, english] of Object.entries(countryNameMap)) {
-        if (english === name) {
-            return portuguese;
-        }
-    }
-    return name;
-}
-
-function getFeatureCountryName(feature) {
-    return feature?.properties?.name;
+function getFeatureCountry(feature) {
+    return resolveFeatureCountry(feature, 'country-selector');
 }
 
 function ensureTooltip() {
@@ -45,11 +33,7 @@ function ensureTooltip() {
 }
 
 function getDisplayName(feature) {
-    const englishName = getFeatureCountryName(feature);
-    if (!englishName) {
-        return 'País';
-    }
-    return resolveToPortuguese(englishName) || englishName;
+    return getFeatureCountry(feature)?.pt || feature?.properties?.name || 'País';
 }
 
 function positionTooltip(event, tooltipSelection) {
@@ -87,16 +71,15 @@ function matchesSelection(feature, selectedCountry) {
     if (!selectedCountry) {
         return false;
     }
-    const portugueseSelection = resolveToPortuguese(selectedCountry) || selectedCountry;
-    const englishName = countryNameMap[portugueseSelection] || portugueseSelection;
-    return getFeatureCountryName(feature) === englishName;
+    const selection = resolveCountry(selectedCountry, 'country-selector');
+    return !!selection && getFeatureCountry(feature) === selection;
 }
 
 function applyCountryFills(selectedCountry) {
     if (!svg || !selectorGroup) {
         return;
     }
-    selectorGroup.selectAll('path')
+    selectorGroup.selectAll('.selector-country')
         .transition()
         .duration(300)
         .attr('fill', d => matchesSelection(d, selectedCountry) ? selectedCountryFill : baseCountryFill)
@@ -106,7 +89,7 @@ function applyCountryFills(selectedCountry) {
 }
 
 function handleCountryClick(feature) {
-    const portugueseName = resolveToPortuguese(feature.properties.name);
+    const portugueseName = getFeatureCountry(feature)?.pt;
     if (!portugueseName) {
         return;
     }
@@ -115,47 +98,6 @@ function handleCountryClick(feature) {
     }
 }
 
-async function fetchTopology(url, label) {
-    const topology = await d3.json(url);
-    if (!topology?.objects?.countries) {
-        throw new Error(`${label}: resposta inválida do ficheiro de geometria.`);
-    }
-    return topology;
-}
-
-async function loadEuropeGeoJSON() {
-    if (typeof d3 === 'undefined') {
-        throw new Error('Biblioteca d3 não foi carregada.');
-    }
-    if (typeof topojson === 'undefined') {
-        throw new Error('Biblioteca topojson não está disponível.');
-    }
-
-    try {
-        let topology;
-        try {
-            topology = await fetchTopology('data/europe-topology.json', 'Ficheiro local');
-        } catch (localError) {
-            console.warn('TopoJSON local indisponível, a recorrer ao CDN...', localError);
-            topology = await fetchTopology('https://unpkg.com/world-atlas@2/countries-50m.json', 'CDN world-atlas');
-        }
-
-        const countries = topojson.feature(topology, topology.objects.countries);
-        countries.features = countries.features.filter(d => {
-            const centroid = d3.geoCentroid(d);
-            const lon = centroid[0];
-            const lat = centroid[1];
-            return lon >= -25 && lon <= 45 && lat >= 35 && lat <= 72;
-        });
-        if (!countries.features.length) {
-            throw new Error('Nenhum país europeu foi carregado do dataset.');
-        }
-        return countries;
-    } catch (error) {
-        throw new Error(`Falha ao descarregar o mapa da Europa: ${error.message}`);
-    }
-}
-
 export async function renderCountrySelectorMap() {
     const container = d3.select('#country-selector-map');
     if (container.empty()) {
@@ -207,20 +149,27 @@ export async function renderCountrySelectorMap() {
 
         selectorGroup = svg.append('g');
 
-        const geoData = await loadEuropeGeoJSON();
+        const geoData = await loadEuropeGeometry(getGeometryDetail(svgWidth));
 
         // Store loaded countries for search
         loadedCountries = geoData.features
-            .map(f => resolveToPortuguese(getFeatureCountryName(f)))
-            .filter(name => name && countryNameMap[name])
-            .sort();
+            .map(f => getFeatureCountry(f)?.pt)
+            .filter(Boolean)
+            .sort((a, b) => a.localeCompare(b, 'pt'));
 
-        selectorGroup.selectAll('path')
+        const countryPaths = selectorGroup.selectAll('path')
             .data(geoData.features)
             .enter()
             .append('path')
-            .attr('d', path)
-            .attr('class', 'selector-country')
+            .attr('d', path);
+
+        // Microstates with data also get a symbol bound to the same feature, so they can be hovered and clicked
+        const dataCountries = new Set(await getAvailableCountries());
+        const hasData = feature => dataCountries.has(getFeatureCountry(feature)?.pt);
+        const symbols = addMicrostateSymbols(selectorGroup, geoData.features, path, hasData);
+
+        [countryPaths, symbols].forEach(selection => selection
+            .classed('selector-country', true)
             .attr('fill', baseCountryFill)
             .attr('stroke', strokeColor)
             .attr('stroke-width', strokeWidth)
@@ -246,14 +195,22 @@ export async function renderCountrySelectorMap() {
                 tooltipSelection.interrupt().style('opacity', 0);
                 applyCountryFills(window.currentCountry);
             })
-            .on('click', (_, d) => handleCountryClick(d));
+            .on('click', (_, d) => handleCountryClick(d)));
+
+        attachMapZoom({
+            container,
+            svg,
+            group: selectorGroup,
+            path,
+            fitFeatures: () => geoData.features.filter(hasData)
+        });
 
         applyCountryFills(window.currentCountry);
     } catch (error) {
         console.error('Erro ao criar o mapa de seleção de países:', error);
         container.html(renderEmptyState({
             title: 'Não foi possível carregar o mapa europeu',
-            message: 'Este mapa depende de um ficheiro externo com as fronteiras da Europa. Quando a ligação à Internet falha ou o fornecedor está indisponível, o mapa não consegue ser desenhado.',
+            message: 'Este mapa usa o ficheiro de fronteiras da Europa incluído na pasta data/. Quando o ficheiro não pode ser lido, o mapa não consegue ser desenhado.',
             meta: `Detalhes técnicos: ${error.message}`,
             icon: '🗺️'
         }));
@@ -268,9 +225,30 @@ export function refreshCountrySelectorMap(selectedCountry = window.currentCountr
  * Setup country search functionality
  */
 export function setupCountrySearch() {
-    const searchInput = d3.select('#country-search-input');
-    const clearBtn = d3.select('#clear-search');
-    const resultsContainer = d3.select('#search-results');
+    attachCountrySearch({
+        input: d3.select('#country-search-input'),
+        clearButton: d3.select('#clear-search'),
+        results: d3.select('#search-results'),
+        onSelect: country => {
+            if (typeof window !== 'undefined' && typeof window.changeCountry === 'function') {
+                window.changeCountry(country, { source: 'search', force: true });
+            }
+        }
+    });
+}
+
+/**
+ * Country search box: accent-insensitive matching, keyboard navigation and a results dropdown
+ * Shared by the header search and other country pickers (e.g. the line chart's country comparison).
+ *
+ * @param {Object} options - {input, clearButton, results, onSelect, getCountries}: d3 selections of the text input,
+ * its clear button and the results container, the callback receiving the chosen country (Portuguese name), and an
+ * optional function listing the searchable countries (defaults to the countries drawn on the selector map)
+ */
+export function attachCountrySearch({ input, clearButton, results, onSelect, getCountries = null }) {
+    const searchInput = input;
+    const clearBtn = clearButton;
+    const resultsContainer = results;
 
     if (searchInput.empty()) {
         return;
@@ -278,7 +256,12 @@ export function setupCountrySearch() {
 
     // Use only countries that are actually loaded in the map
     function getAvailableCountries() {
-        return loadedCountries.length > 0 ? loadedCountries : Object.keys(countryNameMap).sort();
+        if (getCountries) {
+            return getCountries();
+        }
+        return loadedCountries.length > 0
+            ? loadedCountries
+            : listCountries().map(entry => entry.pt).sort((a, b) => a.localeCompare(b, 'pt'));
     }
 
     let selectedIndex = -1;
@@ -351,9 +334,7 @@ export function setupCountrySearch() {
 
     // Select country function
     function selectCountry(country) {
-        if (typeof window !== 'undefined' && typeof window.changeCountry === 'function') {
-            window.changeCountry(country, { source: 'search', force: true });
-        }
+        onSelect(country);
         searchInput.node().value = '';
         resultsContainer.style('display', 'none');
         clearBtn.style('display', 'none');
@@ -419,10 +400,10 @@ export function setupCountrySearch() {
 
     clearBtn.on('click', clearSearch);
 
-    // Close results when clicking outside
-    d3.select('body').on('click', function(event) {
+    // Close results when clicking outside (one listener per search box)
+    d3.select('body').on(`click.search-${searchInput.attr('id')}`, function(event) {
         const target = event.target;
-        const searchContainer = document.querySelector('.country-search-container');
+        const searchContainer = searchInput.node().closest('.country-search-container');
 
         if (searchContainer && !searchContainer.contains(target)) {
             resultsContainer.style('display', 'none');
@@ -3,110 +3,246 @@
  * Handles loading and processing of CSV data
  */
 
-// Centralized country name mapping to handle datasets with different naming conventions
-const countryMappings = {
-    "Albânia": { pordata: "Albânia", eurostat: "Albania", display: "Albânia" },
-    "Albania": { pordata: "Albânia", eurostat: "Albania", display: "Albânia" },
-    "Alemanha": { pordata: "Alemanha", eurostat: "Germany", display: "Alemanha" },
-    "Germany": { pordata: "Alemanha", eurostat: "Germany", display: "Alemanha" },
-    "Áustria": { pordata: "Áustria", eurostat: "Austria", display: "Áustria" },
-    "Austria": { pordata: "Áustria", eurostat: "Austria", display: "Áustria" },
-    "Bélgica": { pordata: "Bélgica", eurostat: "Belgium", display: "Bélgica" },
-    "Belgium": { pordata: "Bélgica", eurostat: "Belgium", display: "Bélgica" },
-    "Bulgária": { pordata: "Bulgária", eurostat: "Bulgaria", display: "Bulgária" },
-    "Bulgaria": { pordata: "Bulgária", eurostat: "Bulgaria", display: "Bulgária" },
-    "Chipre": { pordata: "Chipre", eurostat: "Cyprus", display: "Chipre" },
-    "Cyprus": { pordata: "Chipre", eurostat: "Cyprus", display: "Chipre" },
-    "Croácia": { pordata: "Croácia", eurostat: "Croatia", display: "Croácia" },
-    "Croatia": { pordata: "Croácia", eurostat: "Croatia", display: "Croácia" },
-    "República Checa": { pordata: "República Checa", eurostat: "Czechia", display: "República Checa" },
-    "Czechia": { pordata: "República Checa", eurostat: "Czechia", display: "República Checa" },
-    "Dinamarca": { pordata: "Dinamarca", eurostat: "Denmark", display: "Dinamarca" },
-    "Denmark": { pordata: "Dinamarca", eurostat: "Denmark", display: "Dinamarca" },
-    "Eslováquia": { pordata: "Eslováquia", eurostat: "Slovakia", display: "Eslováquia" },
-    "Slovakia": { pordata: "Eslováquia", eurostat: "Slovakia", display: "Eslováquia" },
-    "Eslovénia": { pordata: "Eslovénia", eurostat: "Slovenia", display: "Eslovénia" },
-    "Slovenia": { pordata: "Eslovénia", eurostat: "Slovenia", display: "Eslovénia" },
-    "Espanha": { pordata: "Espanha", eurostat: "Spain", display: "Espanha" },
-    "Spain": { pordata: "Espanha", eurostat: "Spain", display: "Espanha" },
-    "Estados Unidos": { pordata: "Estados Unidos", eurostat: "United States", display: "Estados Unidos" },
-    "United States": { pordata: "Estados Unidos", eurostat: "United States", display: "Estados Unidos" },
-    "Estónia": { pordata: "Estónia", eurostat: "Estonia", display: "Estónia" },
-    "Estonia": { pordata: "Estónia", eurostat: "Estonia", display: "Estónia" },
-    "Finlândia": { pordata: "Finlândia", eurostat: "Finland", display: "Finlândia" },
-    "Finland": { pordata: "Finlândia", eurostat: "Finland", display: "Finlândia" },
-    "França": { pordata: "França", eurostat: "France", display: "França" },
-    "France": { pordata: "França", eurostat: "France", display: "França" },
-    "Grécia": { pordata: "Grécia", eurostat: "Greece", display: "Grécia" },
-    "Greece": { pordata: "Grécia", eurostat: "Greece", display: "Grécia" },
-    "Hungria": { pordata: "Hungria", eurostat: "Hungary", display: "Hungria" },
-    "Hungary": { pordata: "Hungria", eurostat: "Hungary", display: "Hungria" },
-    "Islândia": { pordata: "Islândia", eurostat: "Iceland", display: "Islândia" },
-    "Iceland": { pordata: "Islândia", eurostat: "Iceland", display: "Islândia" },
-    "Irlanda": { pordata: "Irlanda", eurostat: "Ireland", display: "Irlanda" },
-    "Ireland": { pordata: "Irlanda", eurostat: "Ireland", display: "Irlanda" },
-    "Itália": { pordata: "Itália", eurostat: "Italy", display: "Itália" },
-    "Italy": { pordata: "Itália", eurostat: "Italy", display: "Itália" },
-    "Letónia": { pordata: "Letónia", eurostat: "Latvia", display: "Letónia" },
-    "Latvia": { pordata: "Letónia", eurostat: "Latvia", display: "Letónia" },
-    "Lituânia": { pordata: "Lituânia", eurostat: "Lithuania", display: "Lituânia" },
-    "Lithuania": { pordata: "Lituânia", eurostat: "Lithuania", display: "Lituânia" },
-    "Luxemburgo": { pordata: "Luxemburgo", eurostat: "Luxembourg", display: "Luxemburgo" },
-    "Luxembourg": { pordata: "Luxemburgo", eurostat: "Luxembourg", display: "Luxemburgo" },
-    "Macedónia do Norte": { pordata: "Macedónia do Norte", eurostat: "North Macedonia", display: "Macedónia do Norte" },
-    "North Macedonia": { pordata: "Macedónia do Norte", eurostat: "North Macedonia", display: "Macedónia do Norte" },
-    "Malta": { pordata: "Malta", eurostat: "Malta", display: "Malta" },
-    "Moldávia": { pordata: "Moldávia", eurostat: "Moldova", display: "Moldávia" },
-    "Moldova": { pordata: "Moldávia", eurostat: "Moldova", display: "Moldávia" },
-    "Montenegro": { pordata: "Montenegro", eurostat: "Montenegro", display: "Montenegro" },
-    "Noruega": { pordata: "Noruega", eurostat: "Norway", display: "Noruega" },
-    "Norway": { pordata: "Noruega", eurostat: "Norway", display: "Noruega" },
-    "Países Baixos": { pordata: "Países Baixos", eurostat: "Netherlands", display: "Países Baixos" },
-    "Netherlands": { pordata: "Países Baixos", eurostat: "Netherlands", display: "Países Baixos" },
-    "Polónia": { pordata: "Polónia", eurostat: "Poland", display: "Polónia" },
-    "Poland": { pordata: "Polónia", eurostat: "Poland", display: "Polónia" },
-    "Portugal": { pordata: "Portugal", eurostat: "Portugal", display: "Portugal" },
-    "Reino Unido": { pordata: "Reino Unido", eurostat: "United Kingdom", display: "Reino Unido" },
-    "United Kingdom": { pordata: "Reino Unido", eurostat: "United Kingdom", display: "Reino Unido" },
-    "Roménia": { pordata: "Roménia", eurostat: "Romania", display: "Roménia" },
-    "Romania": { pordata: "Roménia", eurostat: "Romania", display: "Roménia" },
-    "Sérvia": { pordata: "Sérvia", eurostat: "Serbia", display: "Sérvia" },
-    "Serbia": { pordata: "Sérvia", eurostat: "Serbia", display: "Sérvia" },
-    "Síria": { pordata: "Síria", eurostat: "Syria", display: "Síria" },
-    "Syria": { pordata: "Síria", eurostat: "Syria", display: "Síria" },
-    "Suécia": { pordata: "Suécia", eurostat: "Sweden", display: "Suécia" },
-    "Sweden": { pordata: "Suécia", eurostat: "Sweden", display: "Suécia" },
-    "Suíça": { pordata: "Suíça", eurostat: "Switzerland", display: "Suíça" },
-    "Switzerland": { pordata: "Suíça", eurostat: "Switzerland", display: "Suíça" },
-    "Turquia": { pordata: "Turquia", eurostat: "Turkey", display: "Turquia" },
-    "Turkey": { pordata: "Turquia", eurostat: "Turkey", display: "Turquia" },
-    "Türkiye": { pordata: "Turquia", eurostat: "Türkiye", display: "Turquia" },
-    "Ucrânia": { pordata: "Ucrânia", eurostat: "Ukraine", display: "Ucrânia" },
-    "Ukraine": { pordata: "Ucrânia", eurostat: "Ukraine", display: "Ucrânia" }
-};
+import { resolveCountry, usesEuro } from './country-registry.js';
+import { parseObservationFlag, parseObservationSymbol } from './observation-flags.js';
+import { createPriceIndex } from './price-index.js';
+import { resolveCategory, getCategoryLabel, TOTAL_CATEGORY } from './coicop-categories.js';
 
+// Dataset naming conventions: PORDATA files use the Portuguese name, Eurostat files the English label
 function getPordataCountryName(country) {
     if (!country) {
         return null;
     }
-    return countryMappings[country]?.pordata || country;
+    return resolveCountry(country, "data-loader")?.pt ?? null;
 }
 
 function getEurostatCountryName(country) {
     if (!country) {
         return null;
     }
-    return countryMappings[country]?.eurostat || country;
+    return resolveCountry(country, "data-loader")?.eurostat ?? null;
 }
 
-function getDisplayCountryName(country) {
-    if (!country) {
+// Eurostat SDMX-CSV extracts (DATAFLOW, geo, TIME_PERIOD, OBS_VALUE, OBS_FLAG columns)
+const EUROSTAT_INCOME_FILES = [
+    "data/40_mais_pobres_espanha.csv",
+    "data/40_mais_pobres_franca.csv",
+    "data/40_mais_pobres_italia.csv"
+];
+const EUROSTAT_WAGE_FILES = [
+    "data/salario_minimo_europa.csv",
+    "data/salario_minimo_europa_2.csv"
+];
+
+// Long-run national CPI for Portugal (INE, from 1960), spliced under the harmonised multi-country series
+const NATIONAL_INFLATION_FILE = "data/inflacao-categorias-portugal.csv";
+// Eurostat prc_hicp_aind extract (SDMX-CSV, codes or labels): annual average rate of change of the EU27_2020 HICP
+// by COICOP division, drawn as the EU aggregate in the country comparison
+const EU_INFLATION_FILE = "data/inflacao_ue27.csv";
+const EU_AGGREGATE_GEO = ["EU27_2020", "European Union - 27 countries (from 2020)"];
+const ANNUAL_RATE_UNIT = ["RCH_A_AVG", "Annual average rate of change"];
+
+export const INFLATION_SOURCES = {
+    harmonised: { label: "IHPC (Eurostat)" },
+    national: { label: "IPC (INE)" }
+};
+
+/**
+ * How the Portuguese inflation series are spliced
+ * "harmonised": HICP for every year it covers (1996 onwards), national CPI before that (default)
+ * "national": national CPI for every year it covers, so the whole range comes from a single source
+ */
+export const INFLATION_SOURCE_PREFERENCES = {
+    harmonised: ["harmonised", "national"],
+    national: ["national", "harmonised"]
+};
+let inflationSourcePreference = "harmonised";
+
+/**
+ * How the price index (createPriceIndex, built by loadPriceIndex) fills years without a published inflation rate
+ * "fail": no real value is computed when a needed year is missing
+ * "interpolate": linear interpolation between the surrounding years; after the series ends the last rate is repeated
+ * "carry-forward": the last published rate is repeated
+ * "alternate": the rate implied by the HICP index (data/HICP.csv) for the same country
+ * Years before a series starts are never filled: the price index begins at its first rate (see createPriceIndex),
+ * so they are reported as missing under every policy.
+ */
+export const INFLATION_GAP_POLICIES = {
+    fail: { label: "Não calcular" },
+    interpolate: { label: "Interpolar" },
+    "carry-forward": { label: "Repetir a última taxa" },
+    alternate: { label: "Completar com o IHPC" }
+};
+let inflationGapPolicy = "interpolate";
+
+/**
+ * Deflators for real values: the total index, any single inflation category (by COICOP code), or one of these baskets
+ * Basket weights are illustrative spending shares for low-income households, not official HICP weights.
+ */
+export const DEFAULT_DEFLATOR = TOTAL_CATEGORY;
+export const DEFLATOR_BASKETS = [
+    {
+        id: "cabaz-essencial",
+        label: "Cabaz essencial (alimentação 40%, habitação 40%, transportes 20%)",
+        shortLabel: "cabaz essencial",
+        weights: { CP01: 0.4, CP04: 0.4, CP07: 0.2 }
+    },
+    {
+        id: "alimentacao-habitacao",
+        label: "Alimentação e habitação (50% / 50%)",
+        shortLabel: "alimentação e habitação",
+        weights: { CP01: 0.5, CP04: 0.5 }
+    }
+];
+
+// Deflator id of the user-defined basket from the "A minha inflação" panel (see setPersonalBasket)
+export const PERSONAL_DEFLATOR = "pessoal";
+let personalBasket = null;
+
+/**
+ * Deflator definition for an id: a basket, or a single category (code or label) weighted 1
+ */
+export function getDeflator(deflatorId = DEFAULT_DEFLATOR) {
+    if (deflatorId === PERSONAL_DEFLATOR) {
+        return personalBasket || getDeflator(DEFAULT_DEFLATOR);
+    }
+    const basket = DEFLATOR_BASKETS.find(entry => entry.id === deflatorId);
+    if (basket) {
+        return basket;
+    }
+    const category = resolveCategory(deflatorId || DEFAULT_DEFLATOR, "deflator") || resolveCategory(DEFAULT_DEFLATOR);
+    return category.code === TOTAL_CATEGORY
+        ? { id: category.code, label: "IPC Total", shortLabel: "IPC Total", weights: { [category.code]: 1 } }
+        : { id: category.code, label: category.pt, shortLabel: category.short, weights: { [category.code]: 1 } };
+}
+
+/**
+ * Weighted average of category rates per year; years missing any component are left out
+ *
+ * @param {Function} getRates - category code -> Map(year -> rate), or null when the category is unavailable
+ * @returns {Array|null} [{year, value}]
+ */
+function combineDeflatorRates(deflator, getRates) {
+    const components = Object.entries(deflator.weights).map(([category, weight]) => ({ rates: getRates(category), weight }));
+    if (components.some(component => !component.rates?.size)) {
         return null;
     }
-    return countryMappings[country]?.display || country;
+
+    const totalWeight = d3.sum(components, component => component.weight);
+    return Array.from(components[0].rates.keys())
+        .filter(year => components.every(component => component.rates.get(year) != null))
+        .sort((a, b) => a - b)
+        .map(year => ({
+            year,
+            value: d3.sum(components, component => component.rates.get(year) * component.weight) / totalWeight
+        }));
+}
+
+// Category code -> Map(year -> rate) lookup over a processed inflation dataset, for combineDeflatorRates
+function getCategoryRates(inflationData) {
+    const categories = inflationData?.categories || [];
+    return code => {
+        const series = categories.find(c => c.code === code);
+        return series && new Map(series.values.map(v => [v.year, v.value]));
+    };
+}
+
+/**
+ * Basket weights keyed by COICOP code; labels are accepted, the total and non-positive weights are dropped
+ *
+ * @returns {Object|null} {code: weight}, or null when no category is left
+ */
+function normalizeBasketWeights(weights) {
+    const normalized = {};
+    Object.entries(weights || {}).forEach(([category, weight]) => {
+        const entry = resolveCategory(category, "basket");
+        const value = Number(weight);
+        if (entry && entry.code !== TOTAL_CATEGORY && isFinite(value) && value > 0) {
+            normalized[entry.code] = (normalized[entry.code] || 0) + value;
+        }
+    });
+    return Object.keys(normalized).length ? normalized : null;
+}
+
+/**
+ * Annual inflation of a basket of category weights (any scale, they are normalized)
+ *
+ * @param {Object} inflationData - Processed inflation dataset (see loadInflationByCategories)
+ * @param {Object} weights - {code or label: weight}
+ * @returns {Array|null} [{year, value}] for the years every weighted category covers
+ */
+export function calculateBasketInflation(inflationData, weights) {
+    const normalized = normalizeBasketWeights(weights);
+    if (!normalized) {
+        return null;
+    }
+    const values = combineDeflatorRates({ weights: normalized }, getCategoryRates(inflationData));
+    return values?.length ? values : null;
+}
+
+export function getPersonalBasket() {
+    return personalBasket ? { ...personalBasket.weights } : null;
+}
+
+/**
+ * Set the weights of the personal basket (PERSONAL_DEFLATOR); null or all-zero weights remove it
+ * Only the derived views built on the personal basket are rebuilt.
+ *
+ * @returns {boolean} Whether a personal basket is defined
+ */
+export function setPersonalBasket(weights) {
+    const normalized = normalizeBasketWeights(weights);
+    personalBasket = normalized && {
+        id: PERSONAL_DEFLATOR,
+        label: "A minha inflação (cabaz pessoal)",
+        shortLabel: "cabaz pessoal",
+        weights: normalized
+    };
+
+    Array.from(viewCache.keys())
+        .filter(key => key.split(":").includes(PERSONAL_DEFLATOR))
+        .forEach(key => viewCache.delete(key));
+    return Boolean(personalBasket);
+}
+
+/**
+ * Minimum wage series published by PORDATA for Portugal, one per "03. Indicador" value
+ * Only the mainland general series has a Eurostat counterpart.
+ */
+export const PORTUGAL_WAGE_SERIES = [
+    { id: "continental", label: "Portugal continental", indicator: "Retribuição mínima mensal garantida (RMMG) - Portugal continental", eurostat: true },
+    { id: "acores", label: "Açores", indicator: "Retribuição mínima mensal garantida (RMMG) - Açores" },
+    { id: "madeira", label: "Madeira", indicator: "Retribuição mínima mensal garantida (RMMG) - Madeira" },
+    { id: "agricultura", label: "Agricultura (continente)", indicator: "Retribuição mínima mensal garantida (RMMG) na agricultura - Portugal continental" },
+    { id: "servico-domestico", label: "Serviço doméstico (continente)", indicator: "Retribuição mínima mensal garantida (RMMG) no serviço doméstico - Portugal continental" }
+];
+export const DEFAULT_WAGE_SERIES = "continental";
+
+function getWageSeries(country, seriesId) {
+    // Other countries only have the Eurostat national series, which maps to the default entry
+    if (getPordataCountryName(country) !== "Portugal") {
+        return PORTUGAL_WAGE_SERIES[0];
+    }
+    return PORTUGAL_WAGE_SERIES.find(series => series.id === seriesId) || PORTUGAL_WAGE_SERIES[0];
 }
 
-const comparisonSnapshotCache = {};
+/**
+ * Source precedence when PORDATA and Eurostat report the same country and period: the first listed wins.
+ * PORDATA is the curated source the rest of the app is built on, and for Portugal Eurostat spreads the
+ * 14 yearly minimum wage payments over 12 months, so its values are not comparable with the national series.
+ */
+export const SOURCE_PRIORITY = {
+    income: ["pordata", "eurostat"],
+    wage: ["pordata", "eurostat"]
+};
+
+// Dataset registry: every CSV is fetched and parsed once, and derived per-country views are memoized on top of it
+const datasetCache = new Map();
+const viewCache = new Map();
+const cacheStats = {
+    datasets: { hits: 0, misses: 0, fetches: {} },
+    views: { hits: 0, misses: 0 }
+};
 
 /**
  * Load CSV data from file
@@ -122,15 +258,335 @@ export async function loadCSVData(filepath) {
     }
 }
 
+/**
+ * Get the parsed rows of a dataset through the shared registry
+ * Concurrent callers share the same pending request; failed loads are not kept so they can be retried
+ */
+export function getDataset(filepath) {
+    if (datasetCache.has(filepath)) {
+        cacheStats.datasets.hits++;
+        return datasetCache.get(filepath);
+    }
+
+    cacheStats.datasets.misses++;
+    cacheStats.datasets.fetches[filepath] = (cacheStats.datasets.fetches[filepath] || 0) + 1;
+
+    const request = loadCSVData(filepath).then(data => {
+        if (!data && datasetCache.get(filepath) === request) {
+            datasetCache.delete(filepath);
+        }
+        return data;
+    });
+
+    datasetCache.set(filepath, request);
+    return request;
+}
+
+/**
+ * Memoize a derived view (e.g. one country's processed series) under a cache key
+ * Views resolving to null or throwing are dropped so the next call rebuilds them
+ */
+function memoizeView(key, builder) {
+    if (viewCache.has(key)) {
+        cacheStats.views.hits++;
+        return viewCache.get(key);
+    }
+
+    cacheStats.views.misses++;
+
+    const dropIfCurrent = () => {
+        if (viewCache.get(key) === pending) {
+            viewCache.delete(key);
+        }
+    };
+
+    const pending = Promise.resolve()
+        .then(builder)
+        .then(result => {
+            if (result == null) {
+                dropIfCurrent();
+            }
+            return result;
+        }, error => {
+            dropIfCurrent();
+            throw error;
+        });
+
+    viewCache.set(key, pending);
+    return pending;
+}
+
+/**
+ * Drop cached datasets so the next loader call fetches them again
+ * Without a filepath the whole registry is cleared. Derived views are always cleared,
+ * since they may have been built from the invalidated file.
+ */
+export function invalidateDatasetCache(filepath = null) {
+    if (filepath) {
+        datasetCache.delete(filepath);
+    } else {
+        datasetCache.clear();
+    }
+    viewCache.clear();
+}
+
+export function getInflationSourcePreference() {
+    return inflationSourcePreference;
+}
+
+/**
+ * Change the splice preference (see INFLATION_SOURCE_PREFERENCES)
+ * Derived views are rebuilt on next access; parsed files stay cached.
+ */
+export function setInflationSourcePreference(preference) {
+    if (!INFLATION_SOURCE_PREFERENCES[preference]) {
+        console.warn(`Unknown inflation source preference: ${preference}`);
+        return false;
+    }
+    if (preference !== inflationSourcePreference) {
+        inflationSourcePreference = preference;
+        viewCache.clear();
+    }
+    return true;
+}
+
+export function getInflationGapPolicy() {
+    return inflationGapPolicy;
+}
+
+/**
+ * Change how missing inflation years are filled (see INFLATION_GAP_POLICIES)
+ */
+export function setInflationGapPolicy(policy) {
+    if (!INFLATION_GAP_POLICIES[policy]) {
+        console.warn(`Unknown inflation gap policy: ${policy}`);
+        return false;
+    }
+    if (policy !== inflationGapPolicy) {
+        inflationGapPolicy = policy;
+        viewCache.clear();
+    }
+    return true;
+}
+
+/**
+ * Cache hit/miss counters, plus how many times each file was actually fetched
+ */
+export function getDatasetCacheStats() {
+    return {
+        datasets: {
+            hits: cacheStats.datasets.hits,
+            misses: cacheStats.datasets.misses,
+            fetches: { ...cacheStats.datasets.fetches },
+            cached: Array.from(datasetCache.keys())
+        },
+        views: {
+            hits: cacheStats.views.hits,
+            misses: cacheStats.views.misses,
+            cached: Array.from(viewCache.keys())
+        }
+    };
+}
+
+/**
+ * Parse a Eurostat TIME_PERIOD value
+ * Supports annual ("2020"), semester ("2020-S1"), quarterly ("2020-Q3") and monthly ("2020-07" or "2020M07") periods
+ *
+ * @param {string} timePeriod - Raw TIME_PERIOD value
+ * @returns {Object|null} {key, year, frequency, index} where index is the 1-based sub-period (null for annual)
+ */
+export function parseTimePeriod(timePeriod) {
+    const raw = String(timePeriod ?? "").trim();
+
+    const patterns = [
+        { frequency: "annual", regex: /^(\d{4})$/, periods: 1 },
+        { frequency: "semester", regex: /^(\d{4})-?S([12])$/, periods: 2 },
+        { frequency: "quarter", regex: /^(\d{4})-?Q([1-4])$/, periods: 4 },
+        { frequency: "month", regex: /^(\d{4})(?:-|M)(0[1-9]|1[0-2])$/, periods: 12 }
+    ];
+
+    for (const { frequency, regex } of patterns) {
+        const match = raw.match(regex);
+        if (!match) {
+            continue;
+        }
+
+        const year = +match[1];
+        const index = match[2] ? +match[2] : null;
+        const suffix = {
+            annual: "",
+            semester: `-S${index}`,
+            quarter: `-Q${index}`,
+            month: `-${String(index).padStart(2, "0")}`
+        }[frequency];
+
+        return { key: `${year}${suffix}`, year, frequency, index };
+    }
+
+    return null;
+}
+
+/**
+ * Position of a period on a continuous time axis, at its midpoint
+ * Annual values are averages, so 2022 sits at 2022.5; 2022-S1 at 2022.25 and 2022-S2 at 2022.75.
+ *
+ * @param {number|string|Object} period - Year, period key ("2022-S1") or point with a period/year field
+ * @returns {number|null} Fractional year
+ */
+export function periodToTime(period) {
+    if (period == null) {
+        return null;
+    }
+    if (typeof period === "object") {
+        return periodToTime(period.period ?? period.year);
+    }
+    if (typeof period === "number") {
+        return period + 0.5;
+    }
+
+    const parsed = parseTimePeriod(period);
+    if (!parsed) {
+        return null;
+    }
+
+    const subPeriods = { annual: 1, semester: 2, quarter: 4, month: 12 }[parsed.frequency];
+    const index = parsed.index ?? 1;
+    return parsed.year + (index - 0.5) / subPeriods;
+}
+
+/**
+ * Portuguese label for a period key ("2022", "1.º sem. 2022", "3.º trim. 2022", "07/2022")
+ */
+export function formatPeriodLabel(period) {
+    const parsed = parseTimePeriod(period);
+    if (!parsed) {
+        return String(period ?? "");
+    }
+
+    switch (parsed.frequency) {
+        case "semester":
+            return `${parsed.index}.º sem. ${parsed.year}`;
+        case "quarter":
+            return `${parsed.index}.º trim. ${parsed.year}`;
+        case "month":
+            return `${String(parsed.index).padStart(2, "0")}/${parsed.year}`;
+        default:
+            return String(parsed.year);
+    }
+}
+
+/**
+ * Convert Eurostat SDMX-CSV rows into observations
+ * Rows with an unknown geo label are reported through the country registry and skipped.
+ *
+ * @param {Array} rows - Parsed CSV rows
+ * @returns {Array} [{dataflow, geo, country, period, value, flag}] where value is null when not published
+ */
+export function parseEurostatSDMX(rows) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    const observations = [];
+
+    rows.forEach(row => {
+        const period = parseTimePeriod(row["TIME_PERIOD"]);
+        const country = resolveCountry(row["geo"], "eurostat");
+        if (!period || !country) {
+            return;
+        }
+
+        const rawValue = row["OBS_VALUE"];
+        const value = rawValue === "" || rawValue == null ? null : parseFloat(rawValue);
+
+        observations.push({
+            dataflow: row["DATAFLOW"] || null,
+            geo: row["geo"],
+            country: country.pt,
+            period,
+            value: isNaN(value) ? null : value,
+            flag: parseObservationFlag(row["OBS_FLAG"])
+        });
+    });
+
+    return observations;
+}
+
+/**
+ * Load and parse several Eurostat extracts as one observation list
+ * When two files publish the same country and period, the file listed first wins.
+ */
+export function loadEurostatObservations(filepaths) {
+    return memoizeView(`eurostat:${filepaths.join("|")}`, async () => {
+        const files = await Promise.all(filepaths.map(getDataset));
+        const seen = new Set();
+        const observations = [];
+
+        files.forEach(rows => {
+            parseEurostatSDMX(rows).forEach(observation => {
+                const key = `${observation.country}|${observation.period.key}`;
+                if (seen.has(key)) {
+                    return;
+                }
+                seen.add(key);
+                observations.push(observation);
+            });
+        });
+
+        return observations;
+    });
+}
+
+/**
+ * Merge per-source series of points keyed by period, applying a source precedence list
+ * Every merged point is tagged with the source that supplied it.
+ * groupKey decides what a source claims: by default each period, but sources with different
+ * resolutions (annual vs semesters) should be grouped by year so one source owns the whole year.
+ *
+ * @param {Object} seriesBySource - {sourceName: [{key, ...point}]}
+ * @param {Array<string>} priority - Source names, highest precedence first
+ * @param {Function} groupKey - Point => key of the group a source claims
+ * @returns {Array} Merged points sorted by key
+ */
+export function mergeSeriesBySource(seriesBySource, priority, groupKey = point => point.key) {
+    const owners = new Map();
+    const keys = new Set();
+    const merged = [];
+
+    priority.forEach(source => {
+        (seriesBySource[source] || []).forEach(point => {
+            const group = groupKey(point);
+            const owner = owners.get(group);
+            if (owner && owner !== source) {
+                return;
+            }
+            if (!owner) {
+                owners.set(group, source);
+            }
+            if (!keys.has(point.key)) {
+                keys.add(point.key);
+                merged.push({ ...point, source });
+            }
+        });
+    });
+
+    return merged.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
 /**
  * Process inflation data from CSV
  * Groups data by category and year
  * Optionally filters by country for multi-country datasets
+ * Each point keeps the PORDATA "Símbolo" of its row ({year, value, flag, symbol})
  */
 export function processInflationData(data, country = null) {
     const normalizedCountry = getPordataCountryName(country);
 
-    const categories = new Set();
+    if (country && !normalizedCountry) {
+        return { categories: [], years: [] };
+    }
+
+    const categories = new Map();
     const years = new Set();
 
     data.forEach(d => {
@@ -140,23 +596,24 @@ export function processInflationData(data, country = null) {
         }
 
         const year = +d["01. Ano"];
-        const category = d["03. Filtro 1"];
         const value = parseFloat(d["08. Valor"]);
+        const category = !isNaN(year) && !isNaN(value) ? resolveCategoryColumn(d["03. Filtro 1"]) : null;
 
-        if (!isNaN(year) && category && !isNaN(value)) {
-            categories.add(category);
+        if (category) {
+            categories.set(category.code, category);
             years.add(year);
         }
     });
 
     const sortedYears = Array.from(years).sort((a, b) => a - b);
-    const sortedCategories = Array.from(categories).sort();
+    const sortedCategories = Array.from(categories.values()).sort((a, b) => a.name.localeCompare(b.name));
 
     const categoriesData = {};
 
-    sortedCategories.forEach(categoryName => {
-        categoriesData[categoryName] = {
-            name: categoryName,
+    sortedCategories.forEach(category => {
+        categoriesData[category.code] = {
+            code: category.code,
+            name: category.name,
             values: []
         };
     });
@@ -168,13 +625,15 @@ export function processInflationData(data, country = null) {
         }
 
         const year = +d["01. Ano"];
-        const category = d["03. Filtro 1"];
         const value = parseFloat(d["08. Valor"]);
+        const category = !isNaN(year) && !isNaN(value) ? resolveCategoryColumn(d["03. Filtro 1"]) : null;
 
-        if (!isNaN(year) && category && !isNaN(value) && categoriesData[category]) {
-            categoriesData[category].values.push({
+        if (category && categoriesData[category.code]) {
+            categoriesData[category.code].values.push({
                 year,
-                value
+                value,
+                flag: null,
+                symbol: parseObservationSymbol(d["07. Símbolo"])
             });
         }
     });
@@ -189,19 +648,100 @@ export function processInflationData(data, country = null) {
     };
 }
 
+/**
+ * Registry code and Portuguese label for a PORDATA category column
+ * Labels the COICOP registry does not know are kept as they are (and reported as mismatches).
+ */
+function resolveCategoryColumn(rawCategory) {
+    if (!rawCategory) {
+        return null;
+    }
+    const entry = resolveCategory(rawCategory, "data-loader");
+    return entry
+        ? { code: entry.code, name: entry.pt }
+        : { code: rawCategory, name: rawCategory };
+}
+
+/**
+ * Splice two processed inflation datasets category by category
+ * For each category and year the first source in preference order wins; every point records its source.
+ *
+ * @param {Object} datasetsBySource - {harmonised: processed, national: processed}
+ * @param {Array<string>} preference - Source names, preferred first
+ * @returns {Object} {categories, years, splice} where splice is {year, before, after} or null when one source covers everything
+ */
+export function spliceInflationSeries(datasetsBySource, preference) {
+    const categoryNames = new Map();
+    Object.values(datasetsBySource).forEach(dataset => {
+        (dataset?.categories || []).forEach(category => categoryNames.set(category.code, category.name));
+    });
+
+    const categories = Array.from(categoryNames)
+        .sort(([, a], [, b]) => a.localeCompare(b))
+        .map(([code, name]) => {
+            const seriesBySource = {};
+            Object.entries(datasetsBySource).forEach(([source, dataset]) => {
+                const category = dataset?.categories?.find(c => c.code === code);
+                seriesBySource[source] = (category?.values || []).map(point => ({ ...point, key: point.year }));
+            });
+
+            const values = mergeSeriesBySource(seriesBySource, preference)
+                .map(({ key, ...point }) => point)
+                .sort((a, b) => a.year - b.year);
+
+            return { code, name, values };
+        });
+
+    // The splice is where the source of the Total series changes
+    const total = categories.find(c => c.code === TOTAL_CATEGORY) || categories[0];
+    let splice = null;
+    (total?.values || []).forEach((point, index, values) => {
+        if (!splice && index > 0 && values[index - 1].source !== point.source) {
+            splice = { year: point.year, before: values[index - 1].source, after: point.source };
+        }
+    });
+
+    const years = new Set(categories.flatMap(category => category.values.map(point => point.year)));
+
+    return {
+        categories,
+        years: Array.from(years).sort((a, b) => a - b),
+        splice
+    };
+}
+
 /**
  * Load and process inflation by categories data
  * Supports both single-country and multi-country datasets
+ * For Portugal the harmonised series is spliced with the national CPI back to 1960 (see INFLATION_SOURCE_PREFERENCES)
  */
-export async function loadInflationByCategories(country = "Portugal") {
+export function loadInflationByCategories(country = "Portugal") {
+    const key = `inflation:${getPordataCountryName(country)}`;
+    return memoizeView(key, () => buildInflationByCategories(country));
+}
+
+async function buildInflationByCategories(country) {
     try {
-        // Use the multi-country dataset
-        const data = await loadCSVData("data/inflacao_portugal_europa.csv");
-        if (!data) {
+        const isPortugal = getPordataCountryName(country) === "Portugal";
+
+        // Use the multi-country dataset, plus the national history for Portugal
+        const [data, nationalData] = await Promise.all([
+            getDataset("data/inflacao_portugal_europa.csv"),
+            isPortugal ? getDataset(NATIONAL_INFLATION_FILE) : Promise.resolve(null)
+        ]);
+        if (!data && !nationalData) {
             throw new Error("Failed to load data");
         }
 
-        const processedData = processInflationData(data, country);
+        const processedData = spliceInflationSeries({
+            harmonised: data ? processInflationData(data, country) : null,
+            national: nationalData ? processInflationData(nationalData, country) : null
+        }, INFLATION_SOURCE_PREFERENCES[inflationSourcePreference]);
+
+        if (processedData.splice) {
+            processedData.splice.beforeLabel = INFLATION_SOURCES[processedData.splice.before].label;
+            processedData.splice.afterLabel = INFLATION_SOURCES[processedData.splice.after].label;
+        }
 
         const hasCategories = processedData?.categories?.length;
         if (!hasCategories) {
@@ -221,9 +761,13 @@ export async function loadInflationByCategories(country = "Portugal") {
 /**
  * Get list of available countries in the dataset
  */
-export async function getAvailableCountries() {
+export function getAvailableCountries() {
+    return memoizeView("countries", buildAvailableCountries);
+}
+
+async function buildAvailableCountries() {
     try {
-        const data = await loadCSVData("data/inflacao_portugal_europa.csv");
+        const data = await getDataset("data/inflacao_portugal_europa.csv");
         if (!data) {
             return [];
         }
@@ -243,72 +787,206 @@ export async function getAvailableCountries() {
     }
 }
 
+// Share of the countries that must report a year for it to enter the EU mean
+const EU_AVERAGE_MIN_COVERAGE = 0.75;
+
 /**
- * Load and process minimum wage data for a specific country
+ * EU inflation for one category: Eurostat's EU27_2020 aggregate (EU_INFLATION_FILE), weighted by household spending
+ * Without that extract, falls back to the unweighted mean of the multi-country dataset, which is not the EU figure
+ * (a single country with very high inflation, e.g. Romania in 1997, pulls it up); years reported by fewer than
+ * EU_AVERAGE_MIN_COVERAGE of the countries are left out of the mean.
+ *
+ * @param {string} code - COICOP code of the category
+ * @returns {Promise<Object|null>} {official, values}: values are [{year, value, flag, source}] for the aggregate,
+ * [{year, value, count, total}] for the mean, count being the countries averaged that year
  */
-export async function loadMinimumWageData(country = "Portugal") {
+export function loadEuropeanCategoryAverage(code = TOTAL_CATEGORY) {
+    return memoizeView(`eu-average:${code}`, async () => {
+        const aggregate = await buildEuropeanAggregate(code);
+        if (aggregate) {
+            return { official: true, values: aggregate };
+        }
+        const mean = await buildEuropeanCategoryAverage(code);
+        return mean && { official: false, values: mean };
+    });
+}
+
+/**
+ * Rows of EU_INFLATION_FILE, read once per session; the extract is optional, so a missing file is only a
+ * warning and is kept as an empty list (memoizeView drops null) to request it a single time
+ */
+function loadEuropeanAggregateRows() {
+    return memoizeView("eu-aggregate-rows", () => d3.csv(EU_INFLATION_FILE).catch(error => {
+        console.warn(`EU aggregate unavailable (${EU_INFLATION_FILE}), using the unweighted mean:`, error.message);
+        return [];
+    }));
+}
+
+async function buildEuropeanAggregate(code) {
+    const rows = await loadEuropeanAggregateRows();
+    const values = rows
+        .filter(row => EU_AGGREGATE_GEO.includes(row["geo"])
+            && (row["unit"] == null || ANNUAL_RATE_UNIT.includes(row["unit"]))
+            && resolveCategory(row["coicop"], "eu-aggregate")?.code === code)
+        .map(row => ({
+            year: parseTimePeriod(row["TIME_PERIOD"])?.year,
+            value: row["OBS_VALUE"] === "" ? NaN : parseFloat(row["OBS_VALUE"]),
+            flag: parseObservationFlag(row["OBS_FLAG"]),
+            source: "harmonised"
+        }))
+        .filter(point => point.year != null && !isNaN(point.value))
+        .sort((a, b) => a.year - b.year);
+
+    return values.length ? values : null;
+}
+
+async function buildEuropeanCategoryAverage(code) {
     try {
-        const targetCountry = getPordataCountryName(country);
+        const data = await getDataset("data/inflacao_portugal_europa.csv");
+        if (!data) {
+            return null;
+        }
 
-        if (targetCountry === "Portugal") {
-            const nationalData = await loadCSVData("data/salario-minimo-nacional.csv");
-            if (!nationalData) {
-                throw new Error("Failed to load Portugal wage data");
+        const countries = new Set();
+        const valuesByYear = new Map();
+        data.forEach(d => {
+            const country = d["02. Nome País (Europa)"];
+            const year = +d["01. Ano"];
+            const value = parseFloat(d["08. Valor"]);
+            if (!country) {
+                return;
+            }
+            countries.add(country);
+            if (isNaN(year) || isNaN(value) || resolveCategoryColumn(d["03. Filtro 1"])?.code !== code) {
+                return;
             }
+            if (!valuesByYear.has(year)) {
+                valuesByYear.set(year, []);
+            }
+            valuesByYear.get(year).push(value);
+        });
 
-            const wageData = {};
+        const total = countries.size;
+        const values = Array.from(valuesByYear)
+            .filter(([, yearValues]) => yearValues.length >= total * EU_AVERAGE_MIN_COVERAGE)
+            .map(([year, yearValues]) => ({ year, value: d3.mean(yearValues), count: yearValues.length, total }))
+            .sort((a, b) => a.year - b.year);
 
-            nationalData.forEach(row => {
-                const indicator = row["03. Indicador"];
-                if (!indicator || !indicator.includes("Portugal continental")) {
-                    return;
-                }
+        return values.length ? values : null;
+    } catch (error) {
+        console.error("Error computing the EU category average:", error);
+        return null;
+    }
+}
 
-                const year = parseInt(row["01. Ano"]);
-                const valueStr = row["09. Valor"];
-                if (!year || !valueStr || valueStr === 'x' || valueStr === '-' || valueStr === '-,') {
-                    return;
-                }
+/**
+ * Wage series available for a country, with the years each one covers
+ * Only Portugal has more than one (regional and sectoral RMMG series); other countries resolve to an empty list.
+ *
+ * @returns {Promise<Array>} [{id, label, firstYear, lastYear}]
+ */
+export function loadWageSeriesOptions(country = "Portugal") {
+    if (getPordataCountryName(country) !== "Portugal") {
+        return Promise.resolve([]);
+    }
+    return memoizeView("wage-series", async () => {
+        const nationalData = await getDataset("data/salario-minimo-nacional.csv");
+        if (!nationalData) {
+            return null;
+        }
 
-                const value = parseFloat(valueStr.replace(',', '.'));
-                if (isNaN(value)) {
-                    return;
-                }
+        return PORTUGAL_WAGE_SERIES
+            .map(series => {
+                const years = nationalData
+                    .filter(row => row["03. Indicador"] === series.indicator && row["09. Valor"])
+                    .map(row => parseInt(row["01. Ano"]))
+                    .filter(year => !isNaN(year));
+                return years.length
+                    ? { id: series.id, label: series.label, firstYear: d3.min(years), lastYear: d3.max(years) }
+                    : null;
+            })
+            .filter(Boolean);
+    });
+}
 
-                wageData[year] = value;
-            });
+/**
+ * Load and process minimum wage data for a specific country
+ * Eurostat semesters are kept as separate points; PORDATA values are annual.
+ * For Portugal, seriesId picks one of PORTUGAL_WAGE_SERIES; each indicator is loaded as its own series.
+ * Resolves to points sorted by period: [{period, year, semester, value, source, flag, symbol}]
+ */
+export function loadMinimumWageData(country = "Portugal", seriesId = DEFAULT_WAGE_SERIES) {
+    const series = getWageSeries(country, seriesId);
+    const key = `wage:${getPordataCountryName(country)}:${series.id}`;
+    return memoizeView(key, () => buildMinimumWageData(country, series));
+}
 
-            console.log(`Minimum wage data loaded (Portugal):`, Object.keys(wageData).length, "years");
-            return wageData;
+async function buildMinimumWageData(country, series) {
+    try {
+        const targetCountry = getPordataCountryName(country);
+        if (!targetCountry) {
+            console.warn(`Minimum wage skipped: unknown country ${country}`);
+            return null;
         }
 
-        // Use the Europe-wide minimum wage dataset for other countries
-        const eurostatData = await loadCSVData("data/salario_minimo_europa.csv");
-        if (!eurostatData) {
-            throw new Error("Failed to load Eurostat wage data");
-        }
+        // PORDATA only publishes the national series for Portugal; every country is looked up in Eurostat
+        const [nationalData, eurostatObservations] = await Promise.all([
+            targetCountry === "Portugal" ? getDataset("data/salario-minimo-nacional.csv") : Promise.resolve([]),
+            series.eurostat ? loadEurostatObservations(EUROSTAT_WAGE_FILES) : Promise.resolve([])
+        ]);
 
-        const wageData = {};
-        const eurostatCountry = getEurostatCountryName(country);
+        // A failed or empty load leaves an empty series; callers report countries without wage data
+        const pordataWages = [];
 
-        eurostatData.forEach(d => {
-            const geo = d["geo"];
-            const timePeriod = d["TIME_PERIOD"];
-            const obsValue = d["OBS_VALUE"];
+        (nationalData || []).forEach(row => {
+            if (row["03. Indicador"] !== series.indicator) {
+                return;
+            }
 
-            if (geo === eurostatCountry && timePeriod && obsValue) {
-                const year = parseInt(timePeriod.split("-")[0]);
-                const value = parseFloat(obsValue);
+            const year = parseInt(row["01. Ano"]);
+            const valueStr = row["09. Valor"];
+            if (!year || !valueStr || valueStr === 'x' || valueStr === '-' || valueStr === '-,') {
+                return;
+            }
 
-                if (!isNaN(year) && !isNaN(value)) {
-                    if (!wageData[year] || wageData[year] < value) {
-                        wageData[year] = value;
-                    }
-                }
+            const value = parseFloat(valueStr.replace(',', '.'));
+            if (isNaN(value)) {
+                return;
             }
+
+            pordataWages.push({
+                key: String(year),
+                period: String(year),
+                year,
+                semester: null,
+                value,
+                flag: null,
+                symbol: parseObservationSymbol(row["08. Símbolo"])
+            });
         });
 
-        console.log(`Minimum wage data loaded (${country}):`, Object.keys(wageData).length, "years");
+        // Eurostat publishes semesters (e.g. "2022-S1"); each one stays a point of its own
+        const eurostatWages = (eurostatObservations || [])
+            .filter(observation => observation.country === targetCountry && observation.value != null)
+            .map(observation => ({
+                key: observation.period.key,
+                period: observation.period.key,
+                year: observation.period.year,
+                semester: observation.period.frequency === "semester" ? observation.period.index : null,
+                value: observation.value,
+                flag: observation.flag,
+                symbol: null
+            }));
+
+        // Sources are merged per year so an annual PORDATA value never sits beside Eurostat semesters
+        const wageData = mergeSeriesBySource(
+            { pordata: pordataWages, eurostat: eurostatWages },
+            SOURCE_PRIORITY.wage,
+            point => point.year
+        ).map(({ key, ...point }) => point);
+
+        const sources = Array.from(new Set(wageData.map(point => point.source)));
+        console.log(`Minimum wage data loaded (${country}, ${series.id}):`, wageData.length, "periods from", sources.join(" + ") || "no source");
         return wageData;
 
     } catch (error) {
@@ -318,109 +996,289 @@ export async function loadMinimumWageData(country = "Portugal") {
 }
 
 /**
- * Calculate real wage adjusted for inflation
- * Base year is 2020
+ * Year-on-year growth of the nominal minimum wage for every country in the Eurostat extracts, for the bivariate map
+ * Each year is compared on the semesters published in both years, so a year with only S1 so far is still comparable.
+ * Portugal is read from Eurostat too: its 14-payment convention changes the level, not the growth.
+ * The extracts are in euros for every country, so outside the euro area the growth would include exchange-rate moves
+ * (e.g. Hungary's forint wage rose in 2022 while its euro value fell); only years with the euro as the national
+ * currency in both years compared are kept.
+ *
+ * @returns {Promise<Object|null>} {data: year -> country -> growth (%), years, countries, excludedCountries}
+ * where excludedCountries had at least one year left out for their currency
  */
-export function calculateRealWage(nominalWage, inflationData, year, baseYear = 2020) {
-    if (!inflationData || !inflationData.categories?.length) {
-        return null;
-    }
+export function loadMinimumWageGrowth() {
+    return memoizeView("wage-growth", async () => {
+        const observations = await loadEurostatObservations(EUROSTAT_WAGE_FILES);
+        if (!observations?.length) {
+            return null;
+        }
 
-    // Find Total inflation category
-    const totalInflation = inflationData.categories.find(c => c.name === "Total");
-    if (!totalInflation) {
-        return null;
-    }
+        // country -> year -> semester index (0 for annual values) -> wage
+        const wages = {};
+        observations.forEach(observation => {
+            if (observation.value == null) {
+                return;
+            }
+            const { year, frequency, index } = observation.period;
+            const subPeriod = frequency === "semester" ? index : 0;
+            wages[observation.country] = wages[observation.country] || {};
+            wages[observation.country][year] = wages[observation.country][year] || {};
+            wages[observation.country][year][subPeriod] = observation.value;
+        });
 
-    // Calculate cumulative inflation from base year to target year
-    let cumulativeInflation = 1.0;
+        const data = {};
+        const excludedCountries = new Set();
+        Object.entries(wages).forEach(([country, byYear]) => {
+            Object.keys(byYear).map(Number).forEach(year => {
+                const previous = byYear[year - 1];
+                if (!previous) {
+                    return;
+                }
+                if (!usesEuro(country, year - 1)) {
+                    excludedCountries.add(country);
+                    return;
+                }
+                const shared = Object.keys(byYear[year]).filter(subPeriod => previous[subPeriod] != null);
+                const before = d3.mean(shared, subPeriod => previous[subPeriod]);
+                if (!shared.length || !before) {
+                    return;
+                }
+                data[year] = data[year] || {};
+                data[year][country] = (d3.mean(shared, subPeriod => byYear[year][subPeriod]) / before - 1) * 100;
+            });
+        });
 
-    if (year > baseYear) {
-        // Adjust forward (deflate)
-        for (let y = baseYear + 1; y <= year; y++) {
-            const inflationRate = totalInflation.values.find(v => v.year === y);
-            if (inflationRate) {
-                cumulativeInflation *= (1 + inflationRate.value / 100);
+        const years = Object.keys(data).map(Number).sort((a, b) => a - b);
+        return years.length
+            ? {
+                data,
+                years,
+                countries: Array.from(new Set(years.flatMap(year => Object.keys(data[year])))).sort(),
+                excludedCountries: Array.from(excludedCountries).sort()
             }
+            : null;
+    });
+}
+
+/**
+ * Annual deflator rates derived from the HICP index (data/HICP.csv), used by the "alternate" gap policy
+ *
+ * @returns {Promise<Map|null>} year -> rate (%)
+ */
+export function loadAlternateInflationRates(country = "Portugal", deflatorId = DEFAULT_DEFLATOR) {
+    const targetCountry = getPordataCountryName(country);
+    const deflator = getDeflator(deflatorId);
+    return memoizeView(`hicp-rates:${targetCountry}:${deflator.id}`, async () => {
+        const hicpData = await memoizeView("hicp", buildHICPData);
+        if (!hicpData) {
+            return null;
         }
-        return nominalWage / cumulativeInflation;
-    } else if (year < baseYear) {
-        // Adjust backward (inflate)
-        for (let y = year + 1; y <= baseYear; y++) {
-            const inflationRate = totalInflation.values.find(v => v.year === y);
-            if (inflationRate) {
-                cumulativeInflation *= (1 + inflationRate.value / 100);
-            }
+
+        const levelOf = (year, code) => hicpData.data[year]?.[targetCountry]?.[code] ?? null;
+
+        const values = combineDeflatorRates(deflator, code => {
+            const rates = new Map();
+            hicpData.years.forEach(year => {
+                const level = levelOf(year, code);
+                const previousLevel = levelOf(year - 1, code);
+                if (level != null && previousLevel) {
+                    rates.set(year, (level / previousLevel - 1) * 100);
+                }
+            });
+            return rates;
+        });
+        return values?.length ? new Map(values.map(entry => [entry.year, entry.value])) : null;
+    });
+}
+
+/**
+ * Chained price index for one country and deflator (see price-index.js and getDeflator), built once and
+ * shared by the bullet graph and the comparison snapshots; follows the current source preference and gap policy
+ *
+ * @returns {Promise<Object|null>} Index with factor(fromTime, toTime) and rebase(baseTime)
+ */
+export function loadPriceIndex(country = "Portugal", deflatorId = DEFAULT_DEFLATOR) {
+    const targetCountry = getPordataCountryName(country);
+    const deflator = getDeflator(deflatorId);
+    return memoizeView(`price-index:${targetCountry}:${deflator.id}`, async () => {
+        const [inflationData, alternateRates] = await Promise.all([
+            loadInflationByCategories(targetCountry),
+            inflationGapPolicy === "alternate" ? loadAlternateInflationRates(targetCountry, deflator.id) : null
+        ]);
+
+        const values = combineDeflatorRates(deflator, getCategoryRates(inflationData));
+        if (!values?.length) {
+            return null;
         }
-        return nominalWage * cumulativeInflation;
+        return createPriceIndex(values, { policy: inflationGapPolicy, alternateRates });
+    });
+}
+
+/**
+ * Deflators available for a country: the total index, the baskets whose categories it publishes (the personal
+ * basket included, once defined), then each category
+ *
+ * @returns {Promise<Array>} [{id, label, kind: "total" | "basket" | "personal" | "category"}]
+ */
+export async function loadDeflatorOptions(country = "Portugal") {
+    const inflationData = await loadInflationByCategories(country);
+    const published = inflationData?.categories || [];
+    const codes = new Set(published.map(c => c.code));
+    if (!codes.has(TOTAL_CATEGORY)) {
+        return [];
     }
 
-    return nominalWage; // Same as base year
+    const baskets = DEFLATOR_BASKETS
+        .filter(basket => Object.keys(basket.weights).every(code => codes.has(code)))
+        .map(basket => ({ id: basket.id, label: basket.label, kind: "basket" }));
+    const personal = personalBasket && Object.keys(personalBasket.weights).every(code => codes.has(code))
+        ? [{ id: PERSONAL_DEFLATOR, label: personalBasket.label, kind: "personal" }]
+        : [];
+    const categories = published
+        .filter(c => c.code !== TOTAL_CATEGORY)
+        .sort((a, b) => a.name.localeCompare(b.name, "pt"))
+        .map(c => ({ id: c.code, label: c.name, kind: "category" }));
+
+    return [{ id: TOTAL_CATEGORY, label: getDeflator(TOTAL_CATEGORY).label, kind: "total" }, ...baskets, ...personal, ...categories];
+}
+
+/**
+ * Real value of a nominal amount against a price index
+ *
+ * @param {number} nominalValue - Nominal value in the target period
+ * @param {Object} priceIndex - Index from loadPriceIndex / createPriceIndex
+ * @param {number|string} period - Target year or period key
+ * @param {number|string} basePeriod - Base year or period key
+ * @returns {Object|null} {value, imputedYears, missingYears}
+ */
+export function deflateWithPriceIndex(nominalValue, priceIndex, period, basePeriod) {
+    if (!priceIndex || nominalValue == null) {
+        return null;
+    }
+    return priceIndex.rebase(periodToTime(basePeriod)).deflate(nominalValue, periodToTime(period));
+}
+
+/**
+ * Short description of imputed inflation years, e.g. "2025 (repete 2024)"
+ */
+export function describeImputedInflation(imputedYears) {
+    return (imputedYears || []).map(entry => {
+        if (entry.method === "interpolate") {
+            return `${entry.year} (interpolada)`;
+        }
+        if (entry.method === "alternate") {
+            return `${entry.year} (IHPC)`;
+        }
+        return `${entry.year} (repete ${entry.from})`;
+    }).join(", ");
 }
 
 /**
  * Prepare data for bullet graph comparison
+ * Real values are deflated by deflatorId (a category or basket, see getDeflator).
+ * The base defaults to the first period of 2020 (or the first wage period); any wage period can be passed instead.
  */
-export async function loadBulletGraphData(country = "Portugal") {
+export function loadBulletGraphData(country = "Portugal", seriesId = DEFAULT_WAGE_SERIES, deflatorId = DEFAULT_DEFLATOR, basePeriod = null) {
+    const series = getWageSeries(country, seriesId);
+    const deflator = getDeflator(deflatorId);
+    const key = `bullet:${getPordataCountryName(country)}:${series.id}:${deflator.id}:${basePeriod ?? "default"}`;
+    return memoizeView(key, () => buildBulletGraphData(country, series, deflator, basePeriod));
+}
+
+async function buildBulletGraphData(country, series, deflator, requestedBasePeriod) {
     try {
-        const [wageData, inflationData] = await Promise.all([
-            loadMinimumWageData(country),
-            loadInflationByCategories(country)
+        const [wageData, inflationData, priceIndex] = await Promise.all([
+            loadMinimumWageData(country, series.id),
+            loadInflationByCategories(country),
+            loadPriceIndex(country, deflator.id)
         ]);
 
-        if (!wageData || !inflationData) {
+        if (!wageData || !inflationData || !priceIndex) {
             console.warn(`Bullet graph skipped: missing datasets for ${country}`);
             return null;
         }
 
-        // Get years where we have both wage and inflation data
-        const availableYears = Object.keys(wageData)
-            .map(y => +y)
-            .filter(year => year >= 1974) // Start from when we have wage data
-            .sort((a, b) => a - b);
+        // Start from when we have wage data; points are already ordered by period
+        const wagePoints = wageData.filter(point => point.year >= 1974 && point.value != null);
 
-        if (availableYears.length === 0) {
+        if (wagePoints.length === 0) {
             console.warn(`No wage data available for ${country}`);
             return null;
         }
 
-        const baseYear = availableYears.includes(2020) ? 2020 : availableYears[0];
-        const baseNominal = wageData[baseYear];
+        // Base is the requested period, else the first period of 2020 (the year itself or its first semester)
+        const basePoint = wagePoints.find(point => String(point.period) === String(requestedBasePeriod))
+            || wagePoints.find(point => point.year === 2020)
+            || wagePoints[0];
+        const baseYear = basePoint.year;
+        const basePeriod = basePoint.period;
+        const baseNominal = basePoint.value;
 
         if (!baseNominal) {
-            console.warn(`Base year nominal wage missing for ${country} (year ${baseYear})`);
+            console.warn(`Base period nominal wage missing for ${country} (period ${basePeriod})`);
         }
 
         const bulletData = {};
+        const splice = inflationData.splice;
 
-        availableYears.forEach(year => {
-            const nominalWage = wageData[year];
-            if (nominalWage == null) {
-                return;
-            }
+        const skippedPeriods = [];
+        const rebasedIndex = priceIndex.rebase(periodToTime(basePeriod));
 
-            const realWage = calculateRealWage(nominalWage, inflationData, year, baseYear);
+        wagePoints.forEach(point => {
+            const realWage = rebasedIndex.deflate(point.value, periodToTime(point.period));
 
-            if (realWage !== null) {
-                bulletData[year] = {
-                    year,
-                    nominal: nominalWage,
-                    real: realWage,
-                    baseYear
+            if (realWage?.missingYears.length) {
+                skippedPeriods.push(point.period);
+            }
+
+            if (realWage?.value != null) {
+                bulletData[point.period] = {
+                    period: point.period,
+                    label: formatPeriodLabel(point.period),
+                    year: point.year,
+                    semester: point.semester,
+                    nominal: point.value,
+                    real: realWage.value,
+                    imputedInflation: realWage.imputedYears,
+                    deflator: { id: deflator.id, label: deflator.label, shortLabel: deflator.shortLabel },
+                    baseYear,
+                    basePeriod,
+                    baseLabel: formatPeriodLabel(basePeriod),
+                    flag: point.flag,
+                    symbol: point.symbol,
+                    // Set when deflating between this period and the base mixes the two inflation sources
+                    inflationSplice: splice && Math.min(point.year, baseYear) < splice.year && Math.max(point.year, baseYear) >= splice.year
+                        ? splice
+                        : null
                 };
             }
         });
 
-        const validYearCount = Object.keys(bulletData).length;
+        if (skippedPeriods.length) {
+            console.warn(`Bullet graph: no inflation for ${skippedPeriods.join(", ")} under the "${inflationGapPolicy}" gap policy (${country})`);
+        }
+
+        const periods = wagePoints.map(point => point.period).filter(period => bulletData[period]);
 
-        if (validYearCount === 0) {
+        if (periods.length === 0) {
             console.warn(`Bullet graph skipped: no intersecting data points for ${country}`);
             return null;
         }
 
-        console.log(`Bullet graph data prepared for ${country}:`, validYearCount, "years (base year:", baseYear, ")");
-        const intersectingYears = availableYears.filter(year => bulletData[year]);
-        return { data: bulletData, years: intersectingYears, baseYear, baseNominal };
+        console.log(`Bullet graph data prepared for ${country}:`, periods.length, "periods (base:", basePeriod, ")");
+        const years = Array.from(new Set(periods.map(period => bulletData[period].year)));
+        return {
+            data: bulletData,
+            periods,
+            years,
+            baseYear,
+            basePeriod,
+            baseNominal,
+            wageSeries: { id: series.id, label: series.label },
+            deflator: { id: deflator.id, label: deflator.label, shortLabel: deflator.shortLabel },
+            // Periods without a real value because a needed inflation year is missing ("fail" policy)
+            skippedPeriods
+        };
 
     } catch (error) {
         console.error("Error loading bullet graph data:", error);
@@ -428,30 +1286,40 @@ export async function loadBulletGraphData(country = "Portugal") {
     }
 }
 
-export async function loadCountryComparisonSnapshot(country = "Portugal") {
-    const targetCountry = country || "Portugal";
-
-    if (comparisonSnapshotCache[targetCountry]) {
-        return comparisonSnapshotCache[targetCountry];
+export function loadCountryComparisonSnapshot(country = "Portugal", seriesId = DEFAULT_WAGE_SERIES, deflatorId = DEFAULT_DEFLATOR) {
+    const targetCountry = getPordataCountryName(country || "Portugal");
+    if (!targetCountry) {
+        return Promise.resolve(null);
     }
+    const series = getWageSeries(targetCountry, seriesId);
+    const deflator = getDeflator(deflatorId);
+    return memoizeView(`snapshot:${targetCountry}:${series.id}:${deflator.id}`, () => buildCountryComparisonSnapshot(targetCountry, series, deflator));
+}
 
+async function buildCountryComparisonSnapshot(targetCountry, series, deflator) {
     try {
-        const [inflationData, wageData] = await Promise.all([
+        const [inflationData, wageData, priceIndex] = await Promise.all([
             loadInflationByCategories(targetCountry),
-            loadMinimumWageData(targetCountry)
+            loadMinimumWageData(targetCountry, series.id),
+            loadPriceIndex(targetCountry, deflator.id)
         ]);
 
         const snapshot = {
             country: targetCountry,
-            displayName: getDisplayCountryName(targetCountry) || targetCountry,
+            // Regional/sectoral series are named so charts never pass them off as the national wage
+            displayName: series.id === DEFAULT_WAGE_SERIES ? targetCountry : `${targetCountry} · ${series.label}`,
+            wageSeries: { id: series.id, label: series.label },
+            deflator: { id: deflator.id, label: deflator.label, shortLabel: deflator.shortLabel },
             inflation: null,
             inflationSeries: null,
+            // Shared deflator price index, so re-based calculations (country-comparison) only rebase it
+            priceIndex,
             wage: null,
             wageTimeline: null
         };
 
         if (inflationData?.categories?.length) {
-            const totalCategory = inflationData.categories.find(c => c.name === "Total");
+            const totalCategory = inflationData.categories.find(c => c.code === TOTAL_CATEGORY);
             if (totalCategory?.values?.length) {
                 const orderedValues = [...totalCategory.values].sort((a, b) => a.year - b.year);
                 snapshot.inflationSeries = orderedValues;
@@ -459,47 +1327,56 @@ export async function loadCountryComparisonSnapshot(country = "Portugal") {
                 if (latestEntry?.value != null) {
                     snapshot.inflation = {
                         year: latestEntry.year,
-                        value: latestEntry.value
+                        value: latestEntry.value,
+                        flag: latestEntry.flag,
+                        symbol: latestEntry.symbol
                     };
                 }
             }
         }
 
-        if (wageData && Object.keys(wageData).length) {
-            const wageYears = Object.keys(wageData)
-                .map(year => +year)
-                .filter(year => !isNaN(year))
-                .sort((a, b) => a - b);
+        if (wageData?.length) {
+            // One entry per period, so countries reporting semesters keep both of them
+            const wageTimeline = wageData.map(point => ({
+                period: point.period,
+                year: point.year,
+                semester: point.semester,
+                nominal: point.value,
+                flag: point.flag,
+                symbol: point.symbol
+            }));
+            const wageYears = wageTimeline.map(entry => entry.year);
 
             if (wageYears.length) {
-                const wageTimeline = wageYears.map(year => ({
-                    year,
-                    nominal: wageData[year]
-                }));
-                const latestYear = wageYears[wageYears.length - 1];
-                const nominalValue = wageData[latestYear];
+                const latestEntry = wageTimeline[wageTimeline.length - 1];
+                const latestYear = latestEntry.year;
+                const nominalValue = latestEntry.nominal;
                 const baseYear = wageYears.includes(2020) ? 2020 : wageYears[0];
-                const baseNominal = wageData[baseYear];
-                const realValue = (nominalValue != null && inflationData)
-                    ? calculateRealWage(nominalValue, inflationData, latestYear, baseYear)
-                    : null;
+                const baseEntry = wageTimeline.find(entry => entry.year === baseYear);
+                const baseNominal = baseEntry?.nominal;
+                const realResult = deflateWithPriceIndex(nominalValue, priceIndex, latestEntry.period, baseEntry.period);
+                const realValue = realResult?.value ?? null;
                 const realIndex = (realValue != null && baseNominal)
                     ? (realValue / baseNominal) * 100
                     : null;
 
                 snapshot.wage = {
                     year: latestYear,
+                    period: latestEntry.period,
                     nominal: nominalValue,
                     real: realValue,
+                    imputedInflation: realResult?.imputedYears ?? [],
                     baseYear,
+                    basePeriod: baseEntry.period,
                     baseNominal,
-                    index: realIndex
+                    index: realIndex,
+                    flag: latestEntry.flag,
+                    symbol: latestEntry.symbol
                 };
                 snapshot.wageTimeline = wageTimeline;
             }
         }
 
-        comparisonSnapshotCache[targetCountry] = snapshot;
         return snapshot;
 
     } catch (error) {
@@ -508,12 +1385,116 @@ export async function loadCountryComparisonSnapshot(country = "Portugal") {
     }
 }
 
+/**
+ * Measures the choropleth can show, derived from the HICP index levels (2015 = 100)
+ * "index": the published level; "yoy": change on the previous year (%); "cumulative": change since baseYear (%);
+ * "average": average annual rate over the `windowYears` years up to each year (%)
+ */
+export const HICP_MEASURES = {
+    index: { label: "Índice HICP (2015 = 100)", shortLabel: "Índice", unit: "" },
+    yoy: { label: "Taxa de variação anual", shortLabel: "Variação anual", unit: "%" },
+    cumulative: { label: "Variação acumulada desde o ano base", shortLabel: "Variação acumulada", unit: "%", defaultBaseYear: 2015 },
+    average: { label: "Taxa média anual", shortLabel: "Taxa média anual", unit: "%", defaultWindow: 5 }
+};
+export const DEFAULT_HICP_MEASURE = "index";
+
+/**
+ * Measure definition with its parameters filled in
+ *
+ * @param {Object} options - {measure, baseYear, windowYears}
+ * @returns {Object} {id, label, shortLabel, unit, baseYear, windowYears}; only the measure's own parameter is set
+ */
+export function resolveHICPMeasure({ measure = DEFAULT_HICP_MEASURE, baseYear = null, windowYears = null } = {}) {
+    const id = HICP_MEASURES[measure] ? measure : DEFAULT_HICP_MEASURE;
+    const definition = HICP_MEASURES[id];
+    return {
+        id,
+        label: definition.label,
+        shortLabel: definition.shortLabel,
+        unit: definition.unit,
+        baseYear: id === "cumulative" ? Number(baseYear ?? definition.defaultBaseYear) : null,
+        windowYears: id === "average" ? Math.max(1, Number(windowYears ?? definition.defaultWindow)) : null
+    };
+}
+
+/**
+ * Same layout as the HICP levels (year -> country -> category code -> value), with each value replaced by the measure
+ * Years where the measure cannot be computed for any country (e.g. the first year of "yoy") are dropped;
+ * the base year of "cumulative" stays, at 0%.
+ */
+function deriveHICPMeasure(hicpData, measure) {
+    if (measure.id === "index") {
+        return { ...hicpData, indexYears: hicpData.years, measure };
+    }
+
+    const levelOf = (year, country, code) => hicpData.data[year]?.[country]?.[code] ?? null;
+    const referenceYear = year => {
+        if (measure.id === "yoy") {
+            return year - 1;
+        }
+        return measure.id === "cumulative" ? measure.baseYear : year - measure.windowYears;
+    };
+
+    const data = {};
+    hicpData.years.forEach(year => {
+        const reference = referenceYear(year);
+        Object.entries(hicpData.data[year] || {}).forEach(([country, levels]) => {
+            Object.entries(levels).forEach(([code, level]) => {
+                const base = levelOf(reference, country, code);
+                if (!base) {
+                    return;
+                }
+                const ratio = level / base;
+                const value = measure.id === "average"
+                    ? (Math.pow(ratio, 1 / measure.windowYears) - 1) * 100
+                    : (ratio - 1) * 100;
+                data[year] = data[year] || {};
+                data[year][country] = data[year][country] || {};
+                data[year][country][code] = value;
+            });
+        });
+    });
+
+    return {
+        ...hicpData,
+        data,
+        years: hicpData.years.filter(year => data[year]),
+        // Years with index levels, i.e. the possible base years
+        indexYears: hicpData.years,
+        measure
+    };
+}
+
 /**
  * Load and process HICP data for Europe choropleth map
+ * Values are index levels unless another measure is requested (see HICP_MEASURES and resolveHICPMeasure).
+ *
+ * @param {Object} measureOptions - {measure, baseYear, windowYears}
  */
-export async function loadHICPData(country = "Portugal") {
+export async function loadHICPData(country = "Portugal", measureOptions = {}) {
+    const measure = resolveHICPMeasure(measureOptions);
+    const key = `hicp-measure:${measure.id}:${measure.baseYear ?? ""}:${measure.windowYears ?? ""}`;
+    const hicpData = await memoizeView(key, async () => {
+        const levels = await memoizeView("hicp", buildHICPData);
+        return levels && deriveHICPMeasure(levels, measure);
+    });
+    if (!hicpData) {
+        return null;
+    }
+
+    // The processed dataset is shared; only the selected country differs between calls
+    const hicpDataForCountry = {
+        ...hicpData,
+        selectedCountry: getPordataCountryName(country)
+    };
+
+    console.log(`HICP data loaded for ${country}:`, hicpDataForCountry.years.length, "years");
+    return hicpDataForCountry;
+}
+
+async function buildHICPData() {
     try {
-        const data = await loadCSVData('data/HICP.csv');
+        const data = await getDataset('data/HICP.csv');
         if (!data) {
             return null;
         }
@@ -527,14 +1508,16 @@ export async function loadHICPData(country = "Portugal") {
         data.forEach(row => {
             const year = parseInt(row["01. Ano"]);
             const countryName = row["02. Nome País (Europa)"];
-            const category = row["03. Filtro 1"];
             const valueStr = row["08. Valor"];
 
             // Skip invalid rows
-            if (!year || !category || !valueStr || valueStr === 'x') {
+            if (!year || !row["03. Filtro 1"] || !valueStr || valueStr === 'x') {
                 return;
             }
 
+            // Categories are keyed by COICOP code (see coicop-categories.js)
+            const category = resolveCategoryColumn(row["03. Filtro 1"]).code;
+
             const value = parseFloat(valueStr);
             if (isNaN(value)) {
                 return;
@@ -545,7 +1528,7 @@ export async function loadHICPData(country = "Portugal") {
             categories.add(category);
             countries.add(countryName);
 
-            // Create nested structure: year -> category -> value
+            // Create nested structure: year -> country -> category code -> value
             if (!processedData[year]) {
                 processedData[year] = {};
             }
@@ -555,17 +1538,13 @@ export async function loadHICPData(country = "Portugal") {
             processedData[year][countryName][category] = value;
         });
 
-        const hicpDataForCountry = {
+        return {
             data: processedData,
             years: Array.from(years).sort((a, b) => a - b),
-            categories: Array.from(categories).sort(),
-            countries: Array.from(countries).sort(),
-            selectedCountry: getPordataCountryName(country) || country
+            categories: Array.from(categories).sort((a, b) => getCategoryLabel(a).localeCompare(getCategoryLabel(b))),
+            countries: Array.from(countries).sort()
         };
 
-        console.log(`HICP data loaded for ${country}:`, hicpDataForCountry.years.length, "years");
-        return hicpDataForCountry;
-
     } catch (error) {
         console.error("Error loading HICP data:", error);
         return null;
@@ -575,33 +1554,42 @@ export async function loadHICPData(country = "Portugal") {
 /**
  * Load and process income share data for the poorest 40%
  * Combines with inflation data for scatter plot analysis
- * This function loads two datasets in parallel: income share CSV and total inflation data.
+ * This function loads the PORDATA and Eurostat income share files and the total inflation data in parallel.
+ * Income series are merged following SOURCE_PRIORITY.income; each point records its source.
  * It filters by country, calculates year-over-year variations for both metrics,
  * and returns a combined dataset suitable for purchasing power analysis.
- * Total: 98 lines handling async loading, filtering, variation calculation, and data merging.
  *
  * @param {string} country - Country name to filter data (default: "Portugal")
- * @returns {Promise<Object|null>} Combined dataset with {data, years, country} or null on error
+ * @returns {Promise<Object|null>} Combined dataset with {data, years, country, sources} or null on error
  */
-export async function loadIncomeAndInflationData(country = "Portugal") {
+export function loadIncomeAndInflationData(country = "Portugal") {
+    const key = `income:${getPordataCountryName(country)}`;
+    return memoizeView(key, () => buildIncomeAndInflationData(country));
+}
+
+async function buildIncomeAndInflationData(country) {
     try {
         const targetCountry = getPordataCountryName(country);
+        if (!targetCountry) {
+            console.warn(`Income data skipped: unknown country ${country}`);
+            return null;
+        }
 
-        // Load both datasets
-        const [poorIncomeCSV, inflationData] = await Promise.all([
-            loadCSVData('data/40-mais-pobres.csv'),
+        // Load the PORDATA and Eurostat income files alongside the inflation series
+        const [poorIncomeCSV, eurostatIncome, inflationData] = await Promise.all([
+            getDataset('data/40-mais-pobres.csv'),
+            loadEurostatObservations(EUROSTAT_INCOME_FILES),
             loadInflationByCategories(country)
         ]);
 
-        if (!poorIncomeCSV || !inflationData) {
+        if ((!poorIncomeCSV && !eurostatIncome) || !inflationData) {
             return null;
         }
 
         // Process income data for selected country
-        const countryIncomeData = [];
-        const yearsSet = new Set();
+        const pordataIncome = [];
 
-        poorIncomeCSV.forEach(row => {
+        (poorIncomeCSV || []).forEach(row => {
             const year = parseInt(row["01. Ano"]);
             const countryName = row["02. Nome País (Europa)"];
             const valueStr = row["09. Valor"];
@@ -609,20 +1597,38 @@ export async function loadIncomeAndInflationData(country = "Portugal") {
             if (countryName === targetCountry && year && valueStr && valueStr !== 'x') {
                 const incomeShare = parseFloat(valueStr);
                 if (!isNaN(incomeShare)) {
-                    countryIncomeData.push({
+                    pordataIncome.push({
+                        key: String(year),
                         year: year,
-                        incomeShare: incomeShare
+                        incomeShare: incomeShare,
+                        flag: null,
+                        symbol: parseObservationSymbol(row["08. Símbolo"])
                     });
-                    yearsSet.add(year);
                 }
             }
         });
 
-        // Sort by year
-        countryIncomeData.sort((a, b) => a.year - b.year);
+        const eurostatIncomeForCountry = (eurostatIncome || [])
+            .filter(observation => observation.country === targetCountry
+                && observation.value != null
+                && observation.period.frequency === "annual")
+            .map(observation => ({
+                key: observation.period.key,
+                year: observation.period.year,
+                incomeShare: observation.value,
+                flag: observation.flag,
+                symbol: null
+            }));
+
+        // Merged points are sorted by year and tagged with the source that supplied them
+        const countryIncomeData = mergeSeriesBySource(
+            { pordata: pordataIncome, eurostat: eurostatIncomeForCountry },
+            SOURCE_PRIORITY.income
+        );
+        const yearsSet = new Set(countryIncomeData.map(d => d.year));
 
         // Get total inflation data for selected country
-        const totalInflation = inflationData.categories.find(c => c.name === "Total");
+        const totalInflation = inflationData.categories.find(c => c.code === TOTAL_CATEGORY);
         if (!totalInflation) {
             console.error("Total inflation data not found");
             return null;
@@ -658,8 +1664,13 @@ export async function loadIncomeAndInflationData(country = "Portugal") {
             }
 
             if (inflationRate) {
+                // flag/symbol describe the income share observation, inflationSymbol the inflation one
                 combinedData.push({
                     year: currentYear,
+                    source: countryIncomeData[i].source,
+                    flag: countryIncomeData[i].flag,
+                    symbol: countryIncomeData[i].symbol,
+                    inflationSymbol: inflationRate.symbol,
                     incomeShare: incomeShare,
                     inflationRate: inflationRate.value,
                     inflationVariation: inflationVariation,
@@ -671,7 +1682,8 @@ export async function loadIncomeAndInflationData(country = "Portugal") {
         const incomeDataForCountry = {
             data: combinedData,
             years: Array.from(yearsSet).sort((a, b) => a - b),
-            country: targetCountry || country
+            country: targetCountry,
+            sources: Array.from(new Set(combinedData.map(d => d.source)))
         };
 
         console.log(`Income and inflation data combined for ${country}:`, incomeDataForCountry.data.length, "data points");
@@ -0,0 +1,378 @@
+/**
+ * Event Annotations Module
+ * Dated economic events (data/economic-events.json) and the user's own annotations, drawn as vertical markers
+ * with hover cards on the charts over time: inflation by category, purchasing power and the wage timeline.
+ * User annotations are kept in localStorage and can be exported in the same format as the bundled file.
+ */
+
+import { isSameCountry, getCountryDisplayName } from "./country-registry.js";
+
+const EVENTS_FILE = "data/economic-events.json";
+const STORAGE_KEY = "price-of-living:annotations";
+// Scopes with more countries than this are summarised as a count in the hover card
+const MAX_LISTED_COUNTRIES = 3;
+
+let bundledEvents = [];
+let userAnnotations = readStoredAnnotations();
+let eventCard = null;
+
+/**
+ * Load the bundled events; a missing or invalid file leaves only the user's annotations
+ *
+ * @returns {Promise<Array>} The bundled events
+ */
+export async function loadEconomicEvents() {
+    try {
+        const file = await d3.json(EVENTS_FILE);
+        bundledEvents = (file?.events || []).map(event => normalizeEvent(event)).filter(Boolean);
+    } catch (error) {
+        console.error("Error loading economic events:", error);
+        bundledEvents = [];
+    }
+    return bundledEvents;
+}
+
+/**
+ * Events that apply to any of the given countries, by start year; events without a scope apply to every country
+ *
+ * @param {string|Array|null} countries - Country name(s); null returns every event
+ */
+export function getEconomicEvents(countries = null) {
+    const scope = countries == null ? null : [].concat(countries).filter(Boolean);
+    return [...bundledEvents, ...userAnnotations]
+        .filter(event => !event.countries || !scope
+            || event.countries.some(country => scope.some(selected => isSameCountry(country, selected))))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Vertical markers (shaded spans for events lasting several years) with hover cards
+ *
+ * @param {d3.Selection} group - Group in the plot's coordinates; markers are appended to it, so draw them before the series
+ * @param {Object} options - {xScale, height, countries}: the chart's year scale, the plot height and the
+ * countries whose events are shown
+ */
+export function drawEventMarkers(group, { xScale, height, countries = null }) {
+    const [minYear, maxYear] = xScale.domain();
+    const events = getEconomicEvents(countries)
+        .filter(event => (event.end ?? event.start) >= minYear && event.start <= maxYear);
+    if (!events.length) {
+        return;
+    }
+
+    const startX = event => xScale(Math.max(event.start, minYear));
+
+    const markers = group.append("g")
+        .attr("class", "event-markers")
+        .selectAll(".event-marker")
+        .data(events)
+        .join("g")
+        .attr("class", event => `event-marker${event.user ? " user-event" : ""}`)
+        .on("mouseenter", showEventCard)
+        .on("mousemove", moveEventCard)
+        .on("mouseleave", hideEventCard);
+
+    markers.filter(event => event.end != null)
+        .append("rect")
+        .attr("class", "event-span")
+        .attr("x", startX)
+        .attr("y", 0)
+        .attr("width", event => xScale(Math.min(event.end, maxYear)) - startX(event))
+        .attr("height", height);
+
+    markers.filter(event => event.start >= minYear)
+        .append("line")
+        .attr("class", "event-line")
+        .attr("x1", startX)
+        .attr("x2", startX)
+        .attr("y1", 0)
+        .attr("y2", height);
+
+    // The line is thin; a wider transparent strip makes it easy to hover
+    markers.append("rect")
+        .attr("class", "event-hit-area")
+        .attr("x", event => startX(event) - 6)
+        .attr("y", 0)
+        .attr("width", 12)
+        .attr("height", height);
+
+    markers.append("circle")
+        .attr("class", "event-handle")
+        .attr("cx", startX)
+        .attr("cy", 0)
+        .attr("r", 5);
+}
+
+/**
+ * Render the events list and the form to add annotations in #event-annotations-panel
+ *
+ * @param {Object} options - {onChange(), getCountry()}: called after annotations are added or removed
+ * (to redraw the charts), and returning the selected country for annotations scoped to it
+ */
+export function initEventAnnotations({ onChange = null, getCountry = () => null } = {}) {
+    const container = d3.select("#event-annotations-panel");
+    if (container.empty()) {
+        return;
+    }
+
+    container.html("");
+
+    const list = container.append("ul")
+        .attr("class", "event-list");
+
+    const form = container.append("form")
+        .attr("class", "event-form")
+        .attr("novalidate", true);
+
+    const field = (label, className) => form.append("label")
+        .attr("class", `event-form-field ${className}`)
+        .text(label);
+
+    const startInput = field("Ano", "event-form-year").append("input")
+        .attr("type", "number")
+        .attr("min", 1900)
+        .attr("max", 2100)
+        .attr("required", true);
+    const endInput = field("Até (opcional)", "event-form-year").append("input")
+        .attr("type", "number")
+        .attr("min", 1900)
+        .attr("max", 2100);
+    const titleInput = field("Título", "event-form-title").append("input")
+        .attr("type", "text")
+        .attr("maxlength", 80)
+        .attr("required", true);
+    const descriptionInput = field("Descrição", "event-form-description").append("input")
+        .attr("type", "text")
+        .attr("maxlength", 240);
+    const scopeSelect = field("Aplica-se a", "event-form-scope").append("select")
+        .attr("class", "year-select-dropdown");
+    scopeSelect.append("option")
+        .attr("value", "all")
+        .text("Todos os países");
+    scopeSelect.append("option")
+        .attr("value", "country")
+        .text("Apenas o país selecionado");
+
+    const actions = form.append("div")
+        .attr("class", "event-form-actions");
+    actions.append("button")
+        .attr("type", "submit")
+        .attr("class", "filter-btn")
+        .text("Adicionar anotação");
+    const exportButton = actions.append("button")
+        .attr("type", "button")
+        .attr("class", "filter-btn")
+        .text("Exportar JSON")
+        .on("click", exportAnnotations);
+
+    const feedback = form.append("p")
+        .attr("class", "event-form-error")
+        .attr("role", "alert");
+
+    const notify = () => {
+        renderList();
+        if (onChange) {
+            onChange();
+        }
+    };
+
+    function renderList() {
+        const items = list.selectAll("li")
+            .data(getEconomicEvents(), event => event.id)
+            .join(enter => {
+                const item = enter.append("li");
+                item.append("span")
+                    .attr("class", "event-list-years");
+                item.append("span")
+                    .attr("class", "event-list-title");
+                item.append("span")
+                    .attr("class", "event-list-scope");
+                return item;
+            })
+            .attr("class", event => `event-list-item${event.user ? " user-event" : ""}`);
+
+        items.select(".event-list-years").text(formatEventYears);
+        items.select(".event-list-title").text(event => event.title);
+        items.select(".event-list-scope").text(event => `${event.user ? "Anotação pessoal · " : ""}${formatEventScope(event)}`);
+
+        items.selectAll(".event-remove")
+            .data(event => (event.user ? [event] : []))
+            .join("button")
+            .attr("type", "button")
+            .attr("class", "event-remove")
+            .attr("aria-label", event => `Remover ${event.title}`)
+            .text("×")
+            .on("click", (clickEvent, event) => {
+                userAnnotations = userAnnotations.filter(annotation => annotation.id !== event.id);
+                storeAnnotations();
+                notify();
+            });
+
+        exportButton.attr("disabled", userAnnotations.length ? null : true);
+    }
+
+    form.on("submit", event => {
+        event.preventDefault();
+
+        const start = Number(startInput.property("value"));
+        const endValue = endInput.property("value");
+        const end = endValue === "" ? null : Number(endValue);
+        const title = titleInput.property("value").trim();
+        const country = scopeSelect.property("value") === "country" ? getCountry() : null;
+
+        let error = null;
+        if (!Number.isInteger(start) || start < 1900 || start > 2100) {
+            error = "Indique um ano entre 1900 e 2100.";
+        } else if (end != null && (!Number.isInteger(end) || end < start || end > 2100)) {
+            error = "O ano final tem de ser igual ou posterior ao ano inicial.";
+        } else if (!title) {
+            error = "Dê um título à anotação.";
+        } else if (scopeSelect.property("value") === "country" && !country) {
+            error = "Selecione primeiro um país.";
+        }
+        feedback.text(error || "");
+        if (error) {
+            return;
+        }
+
+        const annotation = normalizeEvent({
+            id: `user-${Date.now().toString(36)}`,
+            start,
+            end,
+            title,
+            description: descriptionInput.property("value").trim(),
+            countries: country ? [country] : null
+        }, { user: true });
+        userAnnotations = [...userAnnotations, annotation];
+        if (!storeAnnotations()) {
+            feedback.text("Não foi possível guardar a anotação neste navegador; fica disponível até fechar a página.");
+        }
+
+        form.node().reset();
+        notify();
+    });
+
+    renderList();
+}
+
+// {id, start, end, title, description, countries} with end null for single-year events and countries null for all
+function normalizeEvent(raw, { user = false } = {}) {
+    const start = Number(raw?.start);
+    const title = typeof raw?.title === "string" ? raw.title.trim() : "";
+    if (!Number.isInteger(start) || !title) {
+        return null;
+    }
+
+    const end = Number(raw.end);
+    const countries = Array.isArray(raw.countries) ? raw.countries.filter(Boolean) : [];
+    return {
+        id: String(raw.id || `${start}-${title}`),
+        start,
+        end: Number.isInteger(end) && end > start ? end : null,
+        title,
+        description: typeof raw.description === "string" ? raw.description : "",
+        countries: countries.length ? countries : null,
+        user
+    };
+}
+
+function readStoredAnnotations() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+        return Array.isArray(stored)
+            ? stored.map(event => normalizeEvent(event, { user: true })).filter(Boolean)
+            : [];
+    } catch (error) {
+        console.warn("Stored annotations unavailable:", error);
+        return [];
+    }
+}
+
+// False when the browser refuses the write (private mode, storage full)
+function storeAnnotations() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(userAnnotations.map(({ user, ...event }) => event)));
+        return true;
+    } catch (error) {
+        console.warn("Could not store annotations:", error);
+        return false;
+    }
+}
+
+// Download the user's annotations as a file in the format of data/economic-events.json
+function exportAnnotations() {
+    if (!userAnnotations.length) {
+        return;
+    }
+
+    const events = userAnnotations.map(({ user, end, countries, ...event }) => ({
+        ...event,
+        ...(end != null ? { end } : {}),
+        ...(countries ? { countries } : {})
+    }));
+    const blob = new Blob([JSON.stringify({ events }, null, 4)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "anotacoes.json";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function formatEventYears(event) {
+    return event.end != null ? `${event.start}–${event.end}` : String(event.start);
+}
+
+function formatEventScope(event) {
+    if (!event.countries) {
+        return "Todos os países";
+    }
+    if (event.countries.length > MAX_LISTED_COUNTRIES) {
+        return `${event.countries.length} países`;
+    }
+    return event.countries.map(country => getCountryDisplayName(country, "event-annotations")).join(", ");
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        "\"": "&quot;",
+        "'": "&#39;"
+    })[char]);
+}
+
+function ensureEventCard() {
+    if (!eventCard || !document.body.contains(eventCard.node())) {
+        eventCard = d3.select("body").append("div")
+            .attr("class", "event-card")
+            .style("opacity", 0);
+    }
+    return eventCard;
+}
+
+function showEventCard(mouseEvent, event) {
+    ensureEventCard()
+        .html(`
+            <strong>${escapeHtml(event.title)}</strong>
+            <span class="event-card-years">${formatEventYears(event)}</span>
+            ${event.description ? `<p>${escapeHtml(event.description)}</p>` : ""}
+            <small>${event.user ? "Anotação pessoal · " : ""}${escapeHtml(formatEventScope(event))}</small>
+        `)
+        .style("opacity", 1);
+    moveEventCard(mouseEvent);
+}
+
+function moveEventCard(mouseEvent) {
+    ensureEventCard()
+        .style("left", `${mouseEvent.pageX + 14}px`)
+        .style("top", `${mouseEvent.pageY - 12}px`);
+}
+
+function hideEventCard() {
+    ensureEventCard().style("opacity", 0);
+}
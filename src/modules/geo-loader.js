@@ -0,0 +1,105 @@
+/**
+ * Geo Loader Module
+ * European country geometry shared by the choropleth and the country selector map.
+ * The bundled topologies (data/europe-topology-*.json, built by scripts/build-europe-topology.sh) are already clipped
+ * to Europe and simplified at three levels of detail; a remote TopoJSON is only requested when one is configured
+ * with setRemoteGeometrySource.
+ */
+
+// Centroids inside this box count as European (for a remote world atlas and for overseas polygons when fitting a map);
+// the south edge keeps Cyprus (34.9°N) but not Tunisia (34.1°N)
+const EUROPE_EXTENT = { west: -25, east: 45, south: 34.5, north: 72 };
+
+/**
+ * Bundled levels of detail, built from the world-atlas 10m countries; minWidth is the map width in device pixels
+ * from which each level is used (see getGeometryDetail)
+ */
+export const GEOMETRY_DETAILS = {
+    low: { file: "data/europe-topology-low.json", minWidth: 0 },
+    medium: { file: "data/europe-topology-medium.json", minWidth: 600 },
+    high: { file: "data/europe-topology-high.json", minWidth: 1100 }
+};
+export const DEFAULT_GEOMETRY_DETAIL = "medium";
+
+// URL of a TopoJSON with a "countries" object (e.g. world-atlas), tried only when the bundled file fails
+let remoteGeometrySource = null;
+// detail -> Promise<FeatureCollection>
+const geometryCache = new Map();
+
+/**
+ * Whether a [longitude, latitude] point falls inside the European extent drawn by the maps
+ */
+export function isInEuropeExtent([lon, lat]) {
+    return lon >= EUROPE_EXTENT.west && lon <= EUROPE_EXTENT.east && lat >= EUROPE_EXTENT.south && lat <= EUROPE_EXTENT.north;
+}
+
+/**
+ * Allow (or, with null, forbid) a remote fallback for the bundled geometry
+ */
+export function setRemoteGeometrySource(url) {
+    remoteGeometrySource = url || null;
+    geometryCache.clear();
+}
+
+/**
+ * Level of detail for a map drawn `width` CSS pixels wide, counting the screen's pixel density
+ */
+export function getGeometryDetail(width) {
+    const pixels = width * (typeof window !== "undefined" && window.devicePixelRatio ? window.devicePixelRatio : 1);
+    if (pixels >= GEOMETRY_DETAILS.high.minWidth) {
+        return "high";
+    }
+    return pixels >= GEOMETRY_DETAILS.medium.minWidth ? "medium" : "low";
+}
+
+/**
+ * European countries as a GeoJSON FeatureCollection, shared by every map that asks for the same detail
+ * Failed loads are not cached, so a later call tries again.
+ *
+ * @param {string} detail - Key of GEOMETRY_DETAILS
+ * @returns {Promise<Object>} Rejects when neither the bundled file nor a configured remote source can be read
+ */
+export function loadEuropeGeometry(detail = DEFAULT_GEOMETRY_DETAIL) {
+    const key = GEOMETRY_DETAILS[detail] ? detail : DEFAULT_GEOMETRY_DETAIL;
+    if (!geometryCache.has(key)) {
+        const request = fetchEuropeGeometry(key);
+        geometryCache.set(key, request);
+        request.catch(() => geometryCache.delete(key));
+    }
+    return geometryCache.get(key);
+}
+
+async function fetchTopology(url) {
+    const topology = await d3.json(url);
+    if (!topology?.objects?.countries) {
+        throw new Error(`${url}: resposta inválida do ficheiro de geometria.`);
+    }
+    return topology;
+}
+
+async function fetchEuropeGeometry(detail) {
+    if (typeof topojson === "undefined") {
+        throw new Error("Biblioteca topojson não está disponível.");
+    }
+
+    const { file } = GEOMETRY_DETAILS[detail];
+    let topology;
+    try {
+        topology = await fetchTopology(file);
+    } catch (bundledError) {
+        if (!remoteGeometrySource) {
+            throw new Error(`Geometria local indisponível (${file}): ${bundledError.message}`);
+        }
+        console.warn(`Bundled geometry unavailable (${file}), using ${remoteGeometrySource}`, bundledError);
+        topology = await fetchTopology(remoteGeometrySource);
+    }
+
+    // The bundled files are already European; a remote world atlas is only reduced by centroid here, which keeps
+    // Syria and leaves out Russia
+    const countries = topojson.feature(topology, topology.objects.countries);
+    countries.features = countries.features.filter(d => isInEuropeExtent(d3.geoCentroid(d)));
+    if (!countries.features.length) {
+        throw new Error("Nenhum país europeu foi carregado da geometria.");
+    }
+    return countries;
+}
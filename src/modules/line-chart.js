@@ -4,15 +4,29 @@
  */
 
 import { renderEmptyState } from './empty-state.js';
-
-const TOTAL_SERIES = "Total";
+import { getCountryDisplayName, resolveCountry } from './country-registry.js';
+import { getObservationNotes, formatObservationNotes, drawObservationGlyphs, renderObservationLegend } from './observation-flags.js';
+import { TOTAL_CATEGORY, getCategoryLabel, listCategories } from './coicop-categories.js';
+import { createPriceIndex } from './price-index.js';
+import { loadInflationByCategories, loadEuropeanCategoryAverage, getAvailableCountries, INFLATION_SOURCES } from './data-loader.js';
+import { attachCountrySearch } from './country-selector-map.js';
+import { drawEventMarkers } from './event-annotations.js';
+
+// Series are identified by COICOP code (see coicop-categories.js); names are only displayed
+const TOTAL_SERIES = TOTAL_CATEGORY;
 const TOTAL_COLOR = "#cf4f48";
-// Essential goods activated by default so the chart loads with the core basket in view
-const ESSENTIAL_CATEGORIES = [
-    "Produtos alimentares e bebidas não alcoólicas",
-    "Habitação, água, eletricidade, gás e outros combustíveis",
-    "Transportes"
-];
+// Household basket from the "A minha inflação" panel, drawn dashed next to the total
+const PERSONAL_SERIES = "pessoal";
+const PERSONAL_COLOR = "#6d28d9";
+// EU aggregate (or, without Eurostat's extract, the unweighted mean) drawn dashed in the country comparison
+// (see loadEuropeanCategoryAverage)
+const EU_AVERAGE_SERIES = "media-ue";
+const EU_AVERAGE_COLOR = "#334155";
+// Countries compared when the view is first opened, after the selected country
+const DEFAULT_COMPARED_COUNTRIES = ["Portugal", "Espanha", "França"];
+// Essential goods activated by default so the chart loads with the core basket in view:
+// food (CP01), housing and energy (CP04) and transport (CP07)
+const ESSENTIAL_CATEGORIES = ["CP01", "CP04", "CP07"];
 const COLORBLIND_SAFE_PALETTE = [
     "#0072B2",
     "#009E73",
@@ -28,7 +42,52 @@ let chartData = null;
 let selectedCategories = new Set();
 let focusedCategory = null;
 let currentCountry = "Portugal";
+let personalSeries = null;
 const colorAssignments = new Map();
+// "categories": several categories of one country; "countries": one category for several countries
+let chartView = "categories";
+// Country comparison picks (kept between visits) and the series loaded for them
+const countryOverlay = {
+    category: "CP01",
+    countries: [],
+    showAverage: true,
+    // Whether the EU line is Eurostat's aggregate rather than the unweighted mean; null until loaded
+    officialAverage: null,
+    available: [],
+    series: [],
+    years: []
+};
+let countryOverlayRequest = 0;
+// [from, to] years brushed in the overview strip, null for the full range; kept across category and country changes
+let timeRange = null;
+// Narrowest window the brush can select, in years
+const MIN_RANGE_YEARS = 2;
+const OVERVIEW_HEIGHT = 50;
+// How the series are drawn: annual rates, chained into a price index (base year = 100) or into the change since the base year
+const LINE_MODES = {
+    rate: {
+        label: "Taxa anual",
+        title: "Inflação",
+        axisLabel: () => "Taxa de Inflação (%)",
+        valueLabel: () => "Inflação"
+    },
+    index: {
+        label: "Índice de preços",
+        title: "Índice de preços",
+        axisLabel: year => `Índice de preços (${year} = 100)`,
+        valueLabel: year => `Índice (${year} = 100)`
+    },
+    cumulative: {
+        label: "Variação acumulada",
+        title: "Inflação acumulada",
+        axisLabel: year => `Variação acumulada desde ${year} (%)`,
+        valueLabel: year => `Variação desde ${year}`
+    }
+};
+// HICP reference year (2015 = 100), the base until the user picks another
+const DEFAULT_BASE_YEAR = 2015;
+let lineMode = "rate";
+let baseYear = DEFAULT_BASE_YEAR;
 
 /**
  * Create inflation by categories line chart with a cleaner, focusable view
@@ -36,6 +95,7 @@ const colorAssignments = new Map();
 export function createInflationCategoriesChart(data, country = "Portugal") {
     currentCountry = country;
     focusedCategory = null;
+    chartView = "categories";
 
     if (!data || !Array.isArray(data.categories) || data.categories.length === 0) {
         chartData = null;
@@ -53,12 +113,392 @@ export function createInflationCategoriesChart(data, country = "Portugal") {
     }
 
     chartData = data;
-    initializeCategorySelection(data.categories);
+    syncLineModeControls();
+    initializeCategorySelection(getChartCategories());
     refreshColorAssignments(data.categories);
     createCategoryFilters(data);
     drawChart();
 }
 
+/**
+ * Show (or, with null, remove) the personal inflation line
+ * It is only drawn over the chart of the country it was computed for, so it can be set before that chart is created.
+ *
+ * @param {Array|null} values - [{year, value}] annual rates of the personal basket (see calculateBasketInflation)
+ * @param {string} country - Country whose categories the rates were computed from
+ */
+export function setPersonalInflationSeries(values, country = currentCountry) {
+    const wasShown = Boolean(personalSeries);
+    personalSeries = values?.length
+        ? { code: PERSONAL_SERIES, name: "A minha inflação", values, country }
+        : null;
+
+    if (!personalSeries) {
+        selectedCategories.delete(PERSONAL_SERIES);
+    } else if (!wasShown) {
+        selectedCategories.add(PERSONAL_SERIES);
+    }
+
+    // The radar view shares the canvas; it hides the category filters while active
+    if (chartData && chartView === "categories" && country === currentCountry && d3.select("#category-filter-container").style("display") !== "none") {
+        createCategoryFilters(chartData);
+        drawChart();
+    }
+}
+
+/**
+ * Show one inflation category for several countries, with the EU line, on the timeline
+ * The countries and category picked are kept for the next visit; the first one starts from the selected country.
+ */
+export async function showCountryComparison(country = currentCountry) {
+    chartView = "countries";
+    currentCountry = country;
+    focusedCategory = null;
+
+    if (!countryOverlay.countries.length) {
+        countryOverlay.countries = Array.from(new Set([country, ...DEFAULT_COMPARED_COUNTRIES]));
+    }
+    if (!countryOverlay.available.length) {
+        const available = await getAvailableCountries();
+        countryOverlay.available = available
+            .map(name => resolveCountry(name, "line-chart")?.pt)
+            .filter(Boolean)
+            .sort((a, b) => a.localeCompare(b, "pt"));
+    }
+
+    await updateCountryOverlay();
+}
+
+// Load the compared countries' series for the chosen category and redraw
+async function updateCountryOverlay() {
+    const request = ++countryOverlayRequest;
+    const { category, countries, showAverage } = countryOverlay;
+
+    try {
+        const [datasets, average] = await Promise.all([
+            Promise.all(countries.map(country => loadInflationByCategories(country))),
+            showAverage ? loadEuropeanCategoryAverage(category) : Promise.resolve(null)
+        ]);
+        // A newer pick, or another view (the radar hides the filters), took over while loading
+        if (request !== countryOverlayRequest || chartView !== "countries" || d3.select("#category-filter-container").style("display") === "none") {
+            return;
+        }
+
+        const series = countries.map((country, index) => ({
+            code: country,
+            // Country names have spaces and accents, so the line's class uses the ISO code
+            classKey: resolveCountry(country, "line-chart")?.iso3,
+            name: getCountryDisplayName(country, "line-chart"),
+            values: datasets[index]?.categories.find(c => c.code === category)?.values || []
+        }));
+        if (average) {
+            series.push({
+                code: EU_AVERAGE_SERIES,
+                name: average.official ? "UE27" : "Média simples UE",
+                values: average.values
+            });
+            countryOverlay.officialAverage = average.official;
+        }
+
+        countryOverlay.series = series;
+        countryOverlay.years = Array.from(new Set(series.flatMap(s => s.values.map(v => v.year)))).sort((a, b) => a - b);
+        refreshColorAssignments(series);
+    } catch (error) {
+        console.error("Error loading the country comparison:", error);
+        countryOverlay.series = [];
+        countryOverlay.years = [];
+    }
+
+    createCountryOverlayControls();
+    drawChart();
+}
+
+function createCountryOverlayControls() {
+    const filterContainer = d3.select("#category-filter-container");
+    filterContainer.html("");
+
+    const controls = filterContainer.append("div")
+        .attr("class", "country-overlay-controls");
+
+    const categorySelect = controls.append("label")
+        .attr("class", "country-overlay-category")
+        .text("Categoria:")
+        .append("select")
+        .attr("class", "year-select-dropdown")
+        .on("change", function() {
+            countryOverlay.category = this.value;
+            updateCountryOverlay();
+        });
+    categorySelect.selectAll("option")
+        .data(listCategories())
+        .join("option")
+        .attr("value", d => d.code)
+        .text(d => d.pt);
+    categorySelect.property("value", countryOverlay.category);
+
+    const chips = controls.append("div")
+        .attr("class", "country-overlay-chips");
+
+    const sourcesOf = country => describeSeriesSources(countryOverlay.series.find(s => s.code === country)?.values || []);
+    const formatSources = runs => runs.map(run => `${run.label} ${run.years}`).join(", ");
+
+    const chip = chips.selectAll(".country-chip")
+        .data(countryOverlay.countries)
+        .join("span")
+        .attr("class", "country-chip")
+        .classed("no-data", country => !sourcesOf(country).length)
+        .attr("title", country => (sourcesOf(country).length
+            ? `Fonte: ${formatSources(sourcesOf(country))}`
+            : "Sem dados para esta categoria"));
+
+    chip.append("span")
+        .attr("class", "country-chip-swatch")
+        .style("background", country => getColorForCategory(country));
+
+    chip.append("span")
+        .text(country => getCountryDisplayName(country, "line-chart"));
+
+    // Most countries are HICP throughout; the national CPI (Portugal before 1996) is named on the chip
+    const nationalSources = country => sourcesOf(country).filter(run => run.source !== "harmonised");
+    chip.filter(country => nationalSources(country).length)
+        .append("small")
+        .attr("class", "country-chip-source")
+        .text(country => formatSources(nationalSources(country)));
+
+    chip.append("button")
+        .attr("type", "button")
+        .attr("class", "country-chip-remove")
+        .attr("aria-label", country => `Remover ${getCountryDisplayName(country, "line-chart")}`)
+        .text("×")
+        .on("click", (event, country) => {
+            countryOverlay.countries = countryOverlay.countries.filter(c => c !== country);
+            updateCountryOverlay();
+        });
+
+    const averageToggle = chips.append("label")
+        .attr("class", "country-overlay-average");
+    averageToggle.append("input")
+        .attr("type", "checkbox")
+        .property("checked", countryOverlay.showAverage)
+        .on("change", function() {
+            countryOverlay.showAverage = this.checked;
+            updateCountryOverlay();
+        });
+    averageToggle.append("span")
+        .text({ true: "UE27 (IHPC, Eurostat)", false: "Média simples da UE (não ponderada)" }[countryOverlay.officialAverage] ?? "Linha da UE");
+
+    const search = controls.append("div")
+        .attr("class", "country-search-container country-overlay-search");
+    const searchWrapper = search.append("div")
+        .attr("class", "search-input-wrapper");
+    const searchInput = searchWrapper.append("input")
+        .attr("type", "text")
+        .attr("id", "country-overlay-search-input")
+        .attr("class", "country-search-input")
+        .attr("placeholder", "Adicionar país...")
+        .attr("autocomplete", "off");
+    const clearButton = searchWrapper.append("button")
+        .attr("type", "button")
+        .attr("class", "clear-search-btn")
+        .attr("aria-label", "Limpar pesquisa")
+        .style("display", "none")
+        .text("×");
+    const results = search.append("div")
+        .attr("class", "search-results")
+        .style("display", "none");
+
+    attachCountrySearch({
+        input: searchInput,
+        clearButton,
+        results,
+        getCountries: () => countryOverlay.available.filter(country => !countryOverlay.countries.includes(country)),
+        onSelect: country => {
+            if (!countryOverlay.countries.includes(country)) {
+                countryOverlay.countries = [...countryOverlay.countries, country];
+                updateCountryOverlay();
+            }
+        }
+    });
+
+    filterContainer.append("p")
+        .attr("class", "category-filter-hint")
+        .text(`Dica: escreva o nome de um país para o acrescentar ao gráfico. ${describeEuropeanLine()}`);
+}
+
+// How the EU line was obtained, for the hint under the controls
+function describeEuropeanLine() {
+    const values = countryOverlay.series.find(s => s.code === EU_AVERAGE_SERIES)?.values;
+    if (!values?.length) {
+        return "";
+    }
+    if (countryOverlay.officialAverage) {
+        return "A linha da UE é o IHPC agregado da UE27 publicado pelo Eurostat.";
+    }
+    const [fewest, most] = d3.extent(values, v => v.count);
+    const counted = fewest === most ? `${most}` : `${fewest} a ${most}`;
+    return `Sem o agregado do Eurostat, a linha da UE é a média simples, sem ponderação, dos países com dados em cada ano (${counted} de ${values[0].total}); passe o rato sobre a linha para ver quantos.`;
+}
+
+/**
+ * Consecutive runs of the same source in a series, e.g. the national CPI until 1995 and the HICP from 1996
+ *
+ * @returns {Array} [{source, label, years}] with years as "1960–1995"
+ */
+function describeSeriesSources(values) {
+    const runs = [];
+    values.forEach(point => {
+        const last = runs[runs.length - 1];
+        if (last && last.source === point.source) {
+            last.lastYear = point.year;
+        } else {
+            runs.push({ source: point.source, firstYear: point.year, lastYear: point.year });
+        }
+    });
+    return runs
+        .filter(run => INFLATION_SOURCES[run.source])
+        .map(run => ({
+            source: run.source,
+            label: INFLATION_SOURCES[run.source].label,
+            years: run.firstYear === run.lastYear ? `${run.firstYear}` : `${run.firstYear}–${run.lastYear}`
+        }));
+}
+
+/**
+ * Bind the mode and base year selectors next to the timeline button
+ * The mode and base year are kept when the country changes; the base year options follow each country's years.
+ */
+export function setupLineModeControls() {
+    const modeSelect = d3.select("#line-mode-select");
+    if (modeSelect.empty()) {
+        return;
+    }
+
+    modeSelect.selectAll("option")
+        .data(Object.entries(LINE_MODES))
+        .join("option")
+        .attr("value", ([id]) => id)
+        .text(([, mode]) => mode.label);
+
+    modeSelect
+        .property("value", lineMode)
+        .on("change", function() {
+            lineMode = LINE_MODES[this.value] ? this.value : "rate";
+            syncLineModeControls();
+            if (chartData) {
+                drawChart();
+            }
+        });
+
+    d3.select("#line-base-year-select").on("change", function() {
+        baseYear = +this.value;
+        if (chartData) {
+            drawChart();
+        }
+    });
+
+    syncLineModeControls();
+}
+
+function syncLineModeControls() {
+    const years = chartData?.years || [];
+    if (years.length && !years.includes(baseYear)) {
+        baseYear = years.includes(DEFAULT_BASE_YEAR) ? DEFAULT_BASE_YEAR : years[0];
+    }
+
+    d3.select("#line-base-year-select")
+        .selectAll("option")
+        .data(years)
+        .join("option")
+        .attr("value", d => d)
+        .text(d => d);
+    d3.select("#line-base-year-select").property("value", baseYear);
+    d3.select("#line-base-year-control").style("display", lineMode === "rate" ? "none" : null);
+}
+
+/**
+ * Annual rates re-expressed in the current mode
+ * Levels are chained without filling gaps, so years the index cannot reach from the base year (a gap in between,
+ * or a series that starts after it) are left out. `rate` keeps the published rate for the tooltip.
+ */
+function toModeValues(values) {
+    if (lineMode === "rate") {
+        return values;
+    }
+    const index = createPriceIndex(values, { policy: "fail" })?.rebase(baseYear + 0.5);
+    if (!index) {
+        return [];
+    }
+    return values
+        .map(point => {
+            const level = index.level(point.year + 0.5);
+            if (level == null) {
+                return null;
+            }
+            return { ...point, rate: point.value, value: lineMode === "index" ? level : level - 100 };
+        })
+        .filter(Boolean);
+}
+
+function formatModeValue(value, digits = 1) {
+    if (lineMode === "index") {
+        return value.toFixed(digits);
+    }
+    const text = `${value.toFixed(digits)}%`;
+    return lineMode === "cumulative" && value > 0 ? `+${text}` : text;
+}
+
+// Series drawn by the current view: the selected categories of one country, or one category across the compared countries
+function getVisibleSeries() {
+    if (chartView === "countries") {
+        return countryOverlay.series;
+    }
+    return getChartCategories().filter(c => selectedCategories.has(c.code));
+}
+
+// Series drawn thicker by default: the total and personal lines, and in the country comparison the EU line and the selected country
+function isReferenceSeries(code) {
+    return code === TOTAL_SERIES
+        || code === PERSONAL_SERIES
+        || code === EU_AVERAGE_SERIES
+        || (chartView === "countries" && code === currentCountry);
+}
+
+// Published categories, plus the personal series when one is set
+function getChartCategories() {
+    const categories = chartData?.categories || [];
+    return personalSeries && personalSeries.country === currentCountry ? [...categories, personalSeries] : categories;
+}
+
+/**
+ * Show one category on the timeline, focused and next to the total (e.g. a panel picked in the small multiples)
+ */
+export function showCategoryInChart(code) {
+    const categories = getChartCategories();
+    if (!chartData || chartView !== "categories" || !categories.some(c => c.code === code)) {
+        return;
+    }
+
+    selectedCategories.clear();
+    selectedCategories.add(code);
+    if (code !== TOTAL_SERIES && categories.some(c => c.code === TOTAL_SERIES)) {
+        selectedCategories.add(TOTAL_SERIES);
+    }
+    focusedCategory = code === TOTAL_SERIES ? null : code;
+
+    createCategoryFilters(chartData);
+    drawChart();
+}
+
+/**
+ * Redraw the timeline as it is (e.g. after the event annotations changed); nothing happens while the radar view is shown
+ */
+export function refreshInflationCategoriesChart() {
+    const hasChart = chartView === "countries" || chartData;
+    if (hasChart && d3.select("#category-filter-container").style("display") !== "none") {
+        drawChart();
+    }
+}
+
 export function resetInflationCategoriesState() {
     chartData = null;
     selectedCategories.clear();
@@ -72,45 +512,55 @@ function initializeCategorySelection(categories = []) {
         return;
     }
 
-    const categoryNames = categories.map(c => c.name);
+    const categoryCodes = categories.map(c => c.code);
     // Default state: apenas Total + bens essenciais começam ativos
 
-    if (categoryNames.includes(TOTAL_SERIES)) {
+    if (categoryCodes.includes(TOTAL_SERIES)) {
         selectedCategories.add(TOTAL_SERIES);
     }
 
+    if (categoryCodes.includes(PERSONAL_SERIES)) {
+        selectedCategories.add(PERSONAL_SERIES);
+    }
+
     ESSENTIAL_CATEGORIES.forEach(essential => {
-        if (categoryNames.includes(essential)) {
+        if (categoryCodes.includes(essential)) {
             selectedCategories.add(essential);
         }
     });
 
     if (selectedCategories.size === 0) {
-        selectedCategories.add(categoryNames[0]);
+        selectedCategories.add(categoryCodes[0]);
     }
 }
 
 function refreshColorAssignments(categories = []) {
     colorAssignments.clear();
     const ordered = categories
-        .map(c => c.name)
-        .filter(name => name !== TOTAL_SERIES);
+        .map(c => c.code)
+        .filter(code => code !== TOTAL_SERIES && code !== EU_AVERAGE_SERIES);
 
-    ordered.forEach((name, idx) => {
+    ordered.forEach((code, idx) => {
         const paletteIndex = idx % COLORBLIND_SAFE_PALETTE.length;
-        colorAssignments.set(name, COLORBLIND_SAFE_PALETTE[paletteIndex]);
+        colorAssignments.set(code, COLORBLIND_SAFE_PALETTE[paletteIndex]);
     });
 }
 
-function getColorForCategory(name) {
-    if (name === TOTAL_SERIES) {
+function getColorForCategory(code) {
+    if (code === TOTAL_SERIES) {
         return TOTAL_COLOR;
     }
-    if (!colorAssignments.has(name)) {
+    if (code === PERSONAL_SERIES) {
+        return PERSONAL_COLOR;
+    }
+    if (code === EU_AVERAGE_SERIES) {
+        return EU_AVERAGE_COLOR;
+    }
+    if (!colorAssignments.has(code)) {
         const paletteIndex = colorAssignments.size % COLORBLIND_SAFE_PALETTE.length;
-        colorAssignments.set(name, COLORBLIND_SAFE_PALETTE[paletteIndex]);
+        colorAssignments.set(code, COLORBLIND_SAFE_PALETTE[paletteIndex]);
     }
-    return colorAssignments.get(name);
+    return colorAssignments.get(code);
 }
 
 function createCategoryFilters(data) {
@@ -120,22 +570,22 @@ function createCategoryFilters(data) {
     const filterDiv = filterContainer.append("div")
         .attr("class", "category-filters");
 
-    const totalCategory = data.categories.find(c => c.name === TOTAL_SERIES);
-    const otherCategories = data.categories.filter(c => c.name !== TOTAL_SERIES);
+    const totalCategory = data.categories.find(c => c.code === TOTAL_SERIES);
+    const otherCategories = data.categories.filter(c => c.code !== TOTAL_SERIES);
 
-    const addCheckbox = (parent, category, isTotal = false) => {
+    const addCheckbox = (parent, category, className = null) => {
         const item = parent.append("label")
-            .attr("class", `category-filter-item${isTotal ? " total-category" : ""}`)
-            .attr("data-category", category.name);
+            .attr("class", `category-filter-item${className ? ` ${className}` : ""}`)
+            .attr("data-category", category.code);
 
         item.append("input")
             .attr("type", "checkbox")
-            .property("checked", selectedCategories.has(category.name))
+            .property("checked", selectedCategories.has(category.code))
             .on("change", function() {
                 if (this.checked) {
-                    selectedCategories.add(category.name);
+                    selectedCategories.add(category.code);
                 } else {
-                    selectedCategories.delete(category.name);
+                    selectedCategories.delete(category.code);
                 }
                 drawChart();
             });
@@ -146,7 +596,12 @@ function createCategoryFilters(data) {
     };
 
     if (totalCategory) {
-        addCheckbox(filterDiv, totalCategory, true);
+        addCheckbox(filterDiv, totalCategory, "total-category");
+    }
+
+    const personalCategory = getChartCategories().find(c => c.code === PERSONAL_SERIES);
+    if (personalCategory) {
+        addCheckbox(filterDiv, personalCategory, "personal-category");
     }
 
     otherCategories.forEach(category => addCheckbox(filterDiv, category));
@@ -158,11 +613,11 @@ function createCategoryFilters(data) {
         .attr("class", "filter-btn")
         .text("Selecionar Destaques")
         .on("click", () => {
-            initializeCategorySelection(data.categories);
+            initializeCategorySelection(getChartCategories());
             filterContainer.selectAll("input[type='checkbox']")
                 .property("checked", function() {
-                    const categoryName = d3.select(this.parentNode).attr("data-category");
-                    return selectedCategories.has(categoryName);
+                    const categoryCode = d3.select(this.parentNode).attr("data-category");
+                    return selectedCategories.has(categoryCode);
                 });
             drawChart();
         });
@@ -172,7 +627,7 @@ function createCategoryFilters(data) {
         .text("Selecionar Todas")
         .on("click", () => {
             selectedCategories.clear();
-            data.categories.forEach(c => selectedCategories.add(c.name));
+            getChartCategories().forEach(c => selectedCategories.add(c.code));
             filterContainer.selectAll("input[type='checkbox']").property("checked", true);
             drawChart();
         });
@@ -203,7 +658,7 @@ function drawChart() {
     const container = d3.select("#viz-inflation-categories");
     container.selectAll("*").remove();
 
-    if (!chartData || !Array.isArray(chartData.categories)) {
+    if (chartView === "categories" && (!chartData || !Array.isArray(chartData.categories))) {
         container.html(renderEmptyState({
             title: "Sem dados de inflação",
             message: "Não conseguimos encontrar séries para o país selecionado.",
@@ -213,7 +668,17 @@ function drawChart() {
         return;
     }
 
-    if (selectedCategories.size === 0) {
+    if (chartView === "countries" && !countryOverlay.countries.length && !countryOverlay.showAverage) {
+        container.html(renderEmptyState({
+            title: "Escolha os países",
+            message: "Acrescente pelo menos um país para comparar esta categoria.",
+            meta: "Use a pesquisa acima para escolher os países.",
+            icon: "🌍"
+        }));
+        return;
+    }
+
+    if (chartView === "categories" && selectedCategories.size === 0) {
         container.html(renderEmptyState({
             title: "Selecione uma categoria",
             message: "Ative pelo menos um indicador para gerar o gráfico de inflação.",
@@ -223,21 +688,30 @@ function drawChart() {
         return;
     }
 
-    if (focusedCategory && !selectedCategories.has(focusedCategory)) {
+    if (focusedCategory && !getVisibleSeries().some(c => c.code === focusedCategory)) {
         focusedCategory = null;
     }
 
-    const visibleCategories = chartData.categories
-        .filter(c => selectedCategories.has(c.name))
+    const visibleCategories = getVisibleSeries()
         .map(c => ({
             ...c,
             values: Array.isArray(c.values)
-                ? c.values.filter(v => v?.value != null && !isNaN(v.value))
+                ? toModeValues(c.values.filter(v => v?.value != null && !isNaN(v.value)))
                 : []
         }));
 
     const categoriesWithData = visibleCategories.filter(c => c.values.length);
 
+    if (!categoriesWithData.length && lineMode !== "rate") {
+        container.html(renderEmptyState({
+            title: "Sem dados para o ano base",
+            message: `Nenhuma das séries selecionadas tem taxas publicadas desde ${baseYear}.`,
+            meta: "Escolha um ano base mais recente ou volte à taxa anual.",
+            icon: "📉"
+        }));
+        return;
+    }
+
     if (!categoriesWithData.length) {
         container.html(renderEmptyState({
             title: "Sem dados de inflação",
@@ -248,6 +722,13 @@ function drawChart() {
         return;
     }
 
+    // The window brushed in the overview strip sets the x domain; the y domain follows the values inside it
+    const [firstYear, lastYear] = d3.extent(chartView === "countries" ? countryOverlay.years : chartData.years);
+    const [minYear, maxYear] = getVisibleRange(firstYear, lastYear);
+    const windowCategories = categoriesWithData
+        .map(c => ({ ...c, values: c.values.filter(v => v.year >= minYear && v.year <= maxYear) }))
+        .filter(c => c.values.length);
+
     const wrapper = container.append("div")
         .attr("class", "line-chart-wrapper");
 
@@ -258,7 +739,7 @@ function drawChart() {
 
     const svg = wrapper.append("svg")
         .attr("width", width + margin.left + margin.right)
-        .attr("height", height + margin.top + margin.bottom);
+        .attr("height", height + margin.top + margin.bottom + OVERVIEW_HEIGHT + 30);
 
     const chartArea = svg.append("g")
         .attr("transform", `translate(${margin.left},${margin.top})`);
@@ -267,8 +748,17 @@ function drawChart() {
         .attr("class", "line-chart-tooltip")
         .style("opacity", 0);
 
-    const [minYear, maxYear] = d3.extent(chartData.years);
-    const allValues = categoriesWithData.flatMap(c => c.values.map(v => v.value));
+    // The splice marker belongs to one country's categories
+    const splice = chartView === "categories" ? chartData.splice : null;
+    const getSourceLabel = point => {
+        if (chartView === "countries") {
+            return INFLATION_SOURCES[point?.source]?.label ?? null;
+        }
+        if (!splice || !point?.source) return null;
+        return point.source === splice.before ? splice.beforeLabel : splice.afterLabel;
+    };
+
+    const allValues = (windowCategories.length ? windowCategories : categoriesWithData).flatMap(c => c.values.map(v => v.value));
     const valueExtent = d3.extent(allValues);
     const padding = Math.max((valueExtent[1] - valueExtent[0]) * 0.08, 2);
 
@@ -299,7 +789,7 @@ function drawChart() {
 
     const yAxis = chartArea.append("g")
         .attr("class", "axis y-axis")
-        .call(d3.axisLeft(yScale).ticks(6).tickFormat(d => `${d.toFixed(0)}%`));
+        .call(d3.axisLeft(yScale).ticks(6).tickFormat(d => formatModeValue(d, 0)));
     yAxis.select(".domain").attr("opacity", 0.2);
 
     const xAxis = chartArea.append("g")
@@ -321,15 +811,9 @@ function drawChart() {
         .attr("y", -50)
         .attr("text-anchor", "middle")
         .attr("class", "axis-label")
-        .text("Taxa de Inflação (%)");
+        .text(LINE_MODES[lineMode].axisLabel(baseYear));
 
-    const countryNames = {
-        "Portugal": "Portugal",
-        "Espanha": "Espanha",
-        "France": "França",
-        "Alemanha": "Alemanha"
-    };
-    const displayCountry = countryNames[currentCountry] || currentCountry;
+    const displayCountry = getCountryDisplayName(currentCountry, "line-chart");
 
     svg.append("text")
         .attr("x", (width + margin.left + margin.right) / 2)
@@ -338,9 +822,86 @@ function drawChart() {
         .attr("font-size", "18px")
         .attr("font-weight", "bold")
         .attr("fill", "#1f2937")
-        .text(`Inflação por categoria - ${displayCountry} (${minYear}-${maxYear})`);
+        .text(chartView === "countries"
+            ? `${LINE_MODES[lineMode].title} por país - ${getCategoryLabel(countryOverlay.category)} (${minYear}-${maxYear})`
+            : `${LINE_MODES[lineMode].title} por categoria - ${displayCountry} (${minYear}-${maxYear})`);
+
+    // Index and cumulative modes: reference line at the base level and marker at the base year
+    if (lineMode !== "rate") {
+        const baseGroup = chartArea.append("g")
+            .attr("class", "base-reference");
+        const baseY = yScale(lineMode === "index" ? 100 : 0);
+        if (baseY >= 0 && baseY <= height) {
+            baseGroup.append("line")
+                .attr("x1", 0)
+                .attr("x2", width)
+                .attr("y1", baseY)
+                .attr("y2", baseY);
+        }
+        if (baseYear >= minYear && baseYear <= maxYear) {
+            baseGroup.append("line")
+                .attr("x1", xScale(baseYear))
+                .attr("x2", xScale(baseYear))
+                .attr("y1", 0)
+                .attr("y2", height)
+                .attr("stroke-dasharray", "2 4");
+            baseGroup.append("text")
+                .attr("class", "base-reference-label")
+                .attr("x", xScale(baseYear) + 6)
+                .attr("y", height - 8)
+                .text(`Base ${baseYear}`);
+        }
+    }
+
+    // Vertical marker where the Portuguese series switches from the national CPI to the harmonised index
+    if (splice && splice.year > minYear && splice.year <= maxYear) {
+        const spliceX = xScale(splice.year - 0.5);
+        const spliceGroup = chartArea.append("g")
+            .attr("class", "splice-marker");
+
+        spliceGroup.append("line")
+            .attr("x1", spliceX)
+            .attr("x2", spliceX)
+            .attr("y1", 0)
+            .attr("y2", height)
+            .attr("stroke", "#64748b")
+            .attr("stroke-width", 1.5)
+            .attr("stroke-dasharray", "6 4");
+
+        spliceGroup.append("text")
+            .attr("class", "splice-label")
+            .attr("x", spliceX - 6)
+            .attr("y", 12)
+            .attr("text-anchor", "end")
+            .text(`← ${splice.beforeLabel}`);
+
+        spliceGroup.append("text")
+            .attr("class", "splice-label")
+            .attr("x", spliceX + 6)
+            .attr("y", 12)
+            .attr("text-anchor", "start")
+            .text(`${splice.afterLabel} (desde ${splice.year}) →`);
+    }
+
+    // Economic events and the user's annotations, under the series
+    drawEventMarkers(chartArea, {
+        xScale,
+        height,
+        countries: chartView === "countries" ? countryOverlay.countries : currentCountry
+    });
 
-    const seriesGroup = chartArea.append("g");
+    // Lines run past the window edges, so they are clipped to the plot area
+    svg.append("defs")
+        .append("clipPath")
+        .attr("id", "line-chart-clip")
+        .append("rect")
+        .attr("x", -4)
+        .attr("y", -8)
+        .attr("width", width + 8)
+        .attr("height", height + 16);
+
+    const seriesGroup = chartArea.append("g")
+        .attr("clip-path", "url(#line-chart-clip)");
     const leaderGroup = chartArea.append("g")
         .attr("class", "label-leader-lines");
     const labelGroup = chartArea.append("g")
@@ -372,7 +933,11 @@ function drawChart() {
             .html(`
                 <strong>${category.name}</strong><br/>
                 Ano: ${dataPoint.year}<br/>
-                Inflação: ${dataPoint.value.toFixed(2)}%
+                ${LINE_MODES[lineMode].valueLabel(baseYear)}: ${formatModeValue(dataPoint.value, 2)}
+                ${dataPoint.rate != null ? `<br/>Taxa anual: ${dataPoint.rate.toFixed(2)}%` : ""}
+                ${dataPoint.count != null ? `<br/>Média de ${dataPoint.count} de ${dataPoint.total} países` : ""}
+                ${getSourceLabel(dataPoint) ? `<br/>Fonte: ${getSourceLabel(dataPoint)}` : ""}
+                ${formatObservationNotes(getObservationNotes(dataPoint))}
             `)
             .style("left", `${margin.left + mouseX + 15}px`)
             .style("top", `${margin.top + mouseY - 10}px`);
@@ -383,27 +948,29 @@ function drawChart() {
     };
 
     const drawSeries = category => {
-        const color = getColorForCategory(category.name);
+        const color = getColorForCategory(category.code);
+        const isDashed = category.code === PERSONAL_SERIES || category.code === EU_AVERAGE_SERIES;
         const highlight = focusedCategory
-            ? category.name === focusedCategory
-            : category.name === TOTAL_SERIES;
+            ? category.code === focusedCategory
+            : isReferenceSeries(category.code);
         const strokeWidth = highlight ? 3.5 : 2;
         const baseOpacity = focusedCategory
-            ? (category.name === focusedCategory ? 1 : 0.15)
-            : (category.name === TOTAL_SERIES ? 1 : 0.7);
+            ? (category.code === focusedCategory ? 1 : 0.15)
+            : (highlight ? 1 : 0.7);
 
         const path = seriesGroup.append("path")
             .datum(category.values)
-            .attr("class", `category-line line-${category.name.replace(/\s+/g, '-')}`)
+            .attr("class", `category-line line-${category.classKey ?? category.code}`)
             .attr("fill", "none")
             .attr("stroke", color)
             .attr("stroke-width", strokeWidth)
+            .attr("stroke-dasharray", isDashed ? "9 5" : null)
             .attr("opacity", baseOpacity)
             .attr("d", line)
             .style("cursor", "pointer")
             .on("click", event => {
                 event.stopPropagation();
-                toggleFocus(category.name);
+                toggleFocus(category.code);
             })
             .on("mousemove", event => handleTooltipMove(event, category))
             .on("mouseleave", handleTooltipOut);
@@ -417,13 +984,21 @@ function drawChart() {
             .style("cursor", "pointer")
             .on("click", event => {
                 event.stopPropagation();
-                toggleFocus(category.name);
+                toggleFocus(category.code);
             })
             .on("mousemove", event => handleTooltipMove(event, category))
             .on("mouseleave", handleTooltipOut);
 
+        // Flagged observations (breaks, different definitions...) are marked on the line itself
+        drawObservationGlyphs(seriesGroup.append("g").attr("opacity", baseOpacity), category.values, {
+            x: d => xScale(d.year),
+            y: d => yScale(d.value),
+            color,
+            size: 55
+        });
+
         const lastPoint = category.values.reduce((latest, value) => {
-            if (!value) return latest;
+            if (!value || value.year < minYear || value.year > maxYear) return latest;
             if (!latest || value.year > latest.year) {
                 return value;
             }
@@ -432,6 +1007,7 @@ function drawChart() {
 
         if (lastPoint) {
             labelTargets.push({
+                code: category.code,
                 category: category.name,
                 value: lastPoint.value,
                 year: lastPoint.year,
@@ -463,9 +1039,112 @@ function drawChart() {
         }
     });
 
+    drawOverview(svg, {
+        categories: categoriesWithData,
+        left: margin.left,
+        top: margin.top + height + margin.bottom,
+        width,
+        yearExtent: [firstYear, lastYear]
+    });
+
+    // Double-click anywhere on the chart shows every year again
+    svg.on("dblclick", () => {
+        if (timeRange) {
+            timeRange = null;
+            drawChart();
+        }
+    });
+
     wrapper.append("p")
         .attr("class", "chart-hint")
-        .text("Passe o rato sobre as linhas para ler os valores anuais. Clique para isolar uma categoria e clique novamente para voltar ao overview.");
+        .text("Passe o rato sobre as linhas para ler os valores anuais. Clique para isolar uma linha e clique novamente para voltar ao overview. Arraste na faixa inferior para escolher um período e faça duplo clique para voltar a todos os anos.");
+
+    renderObservationLegend(wrapper, categoriesWithData.flatMap(c => getObservationNotes(...c.values)));
+}
+
+/**
+ * Brushed window clamped to the years of the current data, or the full range when none is set
+ * or too little of it is left (e.g. after switching to a country with a shorter series)
+ */
+function getVisibleRange(firstYear, lastYear) {
+    if (!timeRange) {
+        return [firstYear, lastYear];
+    }
+    const from = Math.max(timeRange[0], firstYear);
+    const to = Math.min(timeRange[1], lastYear);
+    return to - from >= MIN_RANGE_YEARS ? [from, to] : [firstYear, lastYear];
+}
+
+/**
+ * Overview strip under the chart: every selected series over all years, with a brush that sets the chart's window
+ */
+function drawOverview(svg, { categories, left, top, width, yearExtent }) {
+    const [firstYear, lastYear] = yearExtent;
+    const overview = svg.append("g")
+        .attr("class", "line-chart-overview")
+        .attr("transform", `translate(${left},${top})`)
+        // Brushing must not clear the focused category (see the chart's click handler)
+        .on("click", event => event.stopPropagation());
+
+    const xScale = d3.scaleLinear()
+        .domain(yearExtent)
+        .range([0, width]);
+    const yScale = d3.scaleLinear()
+        .domain(d3.extent(categories.flatMap(c => c.values.map(v => v.value))))
+        .range([OVERVIEW_HEIGHT, 0]);
+    const line = d3.line()
+        .x(d => xScale(d.year))
+        .y(d => yScale(d.value));
+
+    overview.append("rect")
+        .attr("class", "overview-background")
+        .attr("width", width)
+        .attr("height", OVERVIEW_HEIGHT);
+
+    overview.selectAll(".overview-line")
+        .data(categories)
+        .join("path")
+        .attr("class", "overview-line")
+        .attr("fill", "none")
+        .attr("stroke", d => getColorForCategory(d.code))
+        .attr("stroke-width", d => (d.code === TOTAL_SERIES ? 1.5 : 1))
+        .attr("d", d => line(d.values));
+
+    overview.append("g")
+        .attr("class", "axis x-axis")
+        .attr("transform", `translate(0,${OVERVIEW_HEIGHT})`)
+        .call(d3.axisBottom(xScale).ticks(10).tickSize(4).tickFormat(d3.format("d")))
+        .select(".domain")
+        .attr("opacity", 0.2);
+
+    const brush = d3.brushX()
+        .extent([[0, 0], [width, OVERVIEW_HEIGHT]])
+        .on("end", event => {
+            // Programmatic moves (restoring the window below) have no source event
+            if (!event.sourceEvent) {
+                return;
+            }
+            if (!event.selection) {
+                timeRange = null;
+            } else {
+                let [from, to] = event.selection.map(x => Math.round(xScale.invert(x)));
+                if (to - from < MIN_RANGE_YEARS) {
+                    to = Math.min(lastYear, from + MIN_RANGE_YEARS);
+                    from = Math.max(firstYear, to - MIN_RANGE_YEARS);
+                }
+                timeRange = from <= firstYear && to >= lastYear ? null : [from, to];
+            }
+            drawChart();
+        });
+
+    const brushGroup = overview.append("g")
+        .attr("class", "overview-brush")
+        .call(brush);
+
+    if (timeRange) {
+        const [from, to] = getVisibleRange(firstYear, lastYear);
+        brushGroup.call(brush.move, [xScale(from), xScale(to)]);
+    }
 }
 
 /**
@@ -474,12 +1153,12 @@ function drawChart() {
  * It calculates optimal vertical positions, shifts labels when they collide (respecting minimum gap),
  * and draws leader lines connecting labels to their data points when necessary.
  *
- * @param {Array} targets - Array of label targets with {category, value, year, color, baseX, baseY}
+ * @param {Array} targets - Array of label targets with {code, category, value, year, color, baseX, baseY}
  * @param {d3.Selection} labelGroup - D3 selection for the label text elements
  * @param {d3.Selection} leaderGroup - D3 selection for the leader line paths
  * @param {number} chartWidth - Width of the chart area in pixels
  * @param {number} chartHeight - Height of the chart area in pixels
- * @param {string|null} focusedCategory - Currently focused category name (or null)
+ * @param {string|null} focusedCategory - Currently focused category code (or null)
  * @param {Function} toggleFocus - Callback function to toggle focus on a category
  *
  * Algorithm: sorts labels by Y position, applies collision avoidance in two passes (forward and backward),
@@ -533,8 +1212,10 @@ function placeEndpointLabels({ targets, labelGroup, leaderGroup, chartWidth, cha
 
         const labelClass = [
             "line-end-label",
-            item.category === TOTAL_SERIES ? "total" : null,
-            focusedCategory && item.category !== focusedCategory ? "dimmed" : null
+            item.code === TOTAL_SERIES ? "total" : null,
+            item.code === PERSONAL_SERIES ? "personal" : null,
+            item.code === EU_AVERAGE_SERIES ? "average" : null,
+            focusedCategory && item.code !== focusedCategory ? "dimmed" : null
         ].filter(Boolean).join(" ");
 
         const leaderNeeded = Math.abs(item.labelY - item.baseY) > 8 || textAnchor === "end";
@@ -553,10 +1234,10 @@ function placeEndpointLabels({ targets, labelGroup, leaderGroup, chartWidth, cha
             .attr("x", labelX)
             .attr("y", item.labelY)
             .attr("text-anchor", textAnchor)
-            .text(`${item.category} · ${item.value.toFixed(1)}%`)
+            .text(`${item.category} · ${formatModeValue(item.value)}`)
             .on("click", event => {
                 event.stopPropagation();
-                toggleFocus(item.category);
+                toggleFocus(item.code);
             });
     });
 }
@@ -0,0 +1,127 @@
+/**
+ * Map Zoom Module
+ * Pan and zoom shared by the European maps (choropleth and country selector), with reset and
+ * "fit to the countries with data" views, and enlarged symbols for countries too small to hover or click.
+ */
+
+import { isInEuropeExtent } from "./geo-loader.js";
+
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.5;
+// Projected area (px²) under which a country also gets a symbol: Malta, Luxembourg and Cyprus at the default scale
+const MICROSTATE_MAX_AREA = 80;
+const MICROSTATE_RADIUS = 6;
+
+/**
+ * Pixel bounds of the features' European polygons, so overseas territories (French Guiana, the Canaries)
+ * do not stretch the fitted view
+ */
+function getEuropeanBounds(features, path) {
+    const bounds = features
+        .flatMap(feature => {
+            const geometry = feature.geometry;
+            if (geometry?.type === "MultiPolygon") {
+                return geometry.coordinates.map(coordinates => ({ type: "Polygon", coordinates }));
+            }
+            return geometry ? [geometry] : [];
+        })
+        .filter(polygon => isInEuropeExtent(d3.geoCentroid(polygon)))
+        .map(polygon => path.bounds(polygon));
+    if (!bounds.length) {
+        return null;
+    }
+    return [
+        [d3.min(bounds, b => b[0][0]), d3.min(bounds, b => b[0][1])],
+        [d3.max(bounds, b => b[1][0]), d3.max(bounds, b => b[1][1])]
+    ];
+}
+
+/**
+ * Circles over the countries too small to hover, bound to the same features as the country paths
+ * so the map's fills and event handlers apply to them as well
+ *
+ * @param {Function} include - Which small features get a symbol (e.g. only the countries with data)
+ * @returns {d3.Selection} The circles, for the caller to style and attach events to
+ */
+export function addMicrostateSymbols(group, features, path, include = () => true) {
+    const small = features.filter(feature => path.area(feature) < MICROSTATE_MAX_AREA && include(feature));
+    return group.selectAll(".microstate-symbol")
+        .data(small)
+        .join("circle")
+        .attr("class", "microstate-symbol")
+        .attr("cx", d => path.centroid(d)[0])
+        .attr("cy", d => path.centroid(d)[1])
+        .attr("r", MICROSTATE_RADIUS);
+}
+
+/**
+ * Enable pan and zoom on a map, with +/−, reset and fit buttons over it
+ * The mouse wheel only zooms with Ctrl (or ⌘) held, so scrolling the page over the map still scrolls.
+ *
+ * @param {Object} options - {container, svg, group, path, fitFeatures}: the map container (gets the buttons),
+ * its SVG, the group transformed on zoom, the projection's path generator, and a function returning the
+ * features "fit" should frame (no fit button when omitted)
+ * @returns {Object} {reset(), fit()}
+ */
+export function attachMapZoom({ container, svg, group, path, fitFeatures = null }) {
+    const width = +svg.attr("width");
+    const height = +svg.attr("height");
+
+    const zoom = d3.zoom()
+        .extent([[0, 0], [width, height]])
+        .scaleExtent([1, MAX_ZOOM])
+        .translateExtent([[0, 0], [width, height]])
+        .filter(event => (event.type === "wheel" ? event.ctrlKey || event.metaKey : !event.button))
+        .on("zoom", event => {
+            group.attr("transform", event.transform);
+            // Symbols keep their size on screen; strokes do too (vector-effect in the stylesheet)
+            group.selectAll(".microstate-symbol")
+                .attr("r", MICROSTATE_RADIUS / event.transform.k);
+        });
+
+    svg.classed("zoomable-map", true)
+        .call(zoom)
+        .on("dblclick.zoom", null);
+
+    const reset = () => svg.transition().duration(500).call(zoom.transform, d3.zoomIdentity);
+
+    const fit = () => {
+        const bounds = fitFeatures ? getEuropeanBounds(fitFeatures(), path) : null;
+        if (!bounds) {
+            reset();
+            return;
+        }
+        const [[x0, y0], [x1, y1]] = bounds;
+        const scale = Math.min(MAX_ZOOM, 0.92 / Math.max((x1 - x0) / width, (y1 - y0) / height));
+        const transform = d3.zoomIdentity
+            .translate(width / 2, height / 2)
+            .scale(Math.max(1, scale))
+            .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+        svg.transition().duration(750).call(zoom.transform, transform);
+    };
+
+    container.selectAll(".map-zoom-controls").remove();
+    const controls = container.append("div")
+        .attr("class", "map-zoom-controls");
+
+    const buttons = [
+        { label: "+", title: "Aproximar", action: () => svg.transition().duration(300).call(zoom.scaleBy, ZOOM_STEP) },
+        { label: "−", title: "Afastar", action: () => svg.transition().duration(300).call(zoom.scaleBy, 1 / ZOOM_STEP) },
+        { label: "⟲", title: "Repor a vista", action: reset }
+    ];
+    if (fitFeatures) {
+        buttons.push({ label: "⤢", title: "Ajustar aos países com dados", action: fit });
+    }
+
+    controls.selectAll("button")
+        .data(buttons)
+        .join("button")
+        .attr("type", "button")
+        .attr("class", "map-zoom-button")
+        .attr("title", d => d.title)
+        .attr("aria-label", d => d.title)
+        .text(d => d.label)
+        .on("click", (event, d) => d.action());
+
+    return { reset, fit };
+}
@@ -0,0 +1,178 @@
+/**
+ * Observation Flags Module
+ * Glossary for the Eurostat OBS_FLAG codes and PORDATA "Símbolo" values kept on series points,
+ * and the glyphs charts use to mark flagged observations.
+ */
+
+// Eurostat flags can be combined in a single OBS_FLAG value (e.g. "bp"), one letter per flag
+const EUROSTAT_FLAGS = {
+    b: { label: "Quebra de série", description: "A série muda de metodologia ou fonte neste período; compare com cautela com os anos anteriores.", kind: "break" },
+    c: { label: "Confidencial", description: "Valor não divulgado por confidencialidade estatística.", kind: "unavailable" },
+    d: { label: "Definição diferente", description: "O indicador segue uma definição diferente da habitual.", kind: "definition" },
+    e: { label: "Estimado", description: "Valor estimado pelo instituto de estatística nacional.", kind: "estimate" },
+    f: { label: "Previsão", description: "Valor de previsão, ainda não observado.", kind: "estimate" },
+    m: { label: "Valor em falta", description: "Não existe valor publicado para este período.", kind: "unavailable" },
+    n: { label: "Não significativo", description: "Valor sem significado estatístico.", kind: "reliability" },
+    p: { label: "Provisório", description: "Valor provisório, sujeito a revisão.", kind: "estimate" },
+    r: { label: "Revisto", description: "Valor revisto face à publicação anterior.", kind: "revision" },
+    s: { label: "Estimativa do Eurostat", description: "Valor estimado pelo Eurostat.", kind: "estimate" },
+    u: { label: "Fiabilidade reduzida", description: "Valor com fiabilidade reduzida.", kind: "reliability" },
+    z: { label: "Não aplicável", description: "O indicador não se aplica a este período.", kind: "unavailable" }
+};
+
+const PORDATA_SYMBOLS = {
+    "x": { label: "Valor não disponível", description: "A fonte não disponibiliza valor para este período.", kind: "unavailable" },
+    "-": { label: "Não aplicável", description: "O indicador não se aplica a este período.", kind: "unavailable" },
+    "d": { label: "Definição diferente", description: "O valor segue uma definição diferente da usada nos restantes anos ou países.", kind: "definition" },
+    "fr": { label: "Fiabilidade reduzida", description: "A fonte assinala este valor como pouco fiável.", kind: "reliability" },
+    "pro": { label: "Provisório", description: "Valor provisório, sujeito a revisão.", kind: "estimate" },
+    "r": { label: "Retificado", description: "Valor corrigido face à publicação anterior.", kind: "revision" },
+    "quebra de série": { label: "Quebra de série", description: "A série muda de metodologia ou fonte neste ano; compare com cautela com os anos anteriores.", kind: "break" }
+};
+
+// Ordered by importance: a point with several notes is drawn with the glyph of the first matching kind
+const GLYPHS = [
+    { kind: "break", symbol: "symbolDiamond", marker: "◆" },
+    { kind: "definition", symbol: "symbolSquare", marker: "■" },
+    { kind: "reliability", symbol: "symbolTriangle", marker: "▲" },
+    { kind: "estimate", symbol: "symbolCross", marker: "✚" },
+    { kind: "revision", symbol: "symbolStar", marker: "★" },
+    { kind: "unavailable", symbol: "symbolTimes", marker: "✕" }
+];
+
+/**
+ * Split a raw Eurostat OBS_FLAG value into known flag letters
+ */
+export function parseObservationFlag(rawFlag) {
+    if (!rawFlag) {
+        return null;
+    }
+    const letters = String(rawFlag).trim().toLowerCase().split("").filter(letter => EUROSTAT_FLAGS[letter]);
+    return letters.length ? letters.join("") : null;
+}
+
+/**
+ * Normalize a raw PORDATA "Símbolo" value, or null when empty
+ */
+export function parseObservationSymbol(rawSymbol) {
+    const symbol = String(rawSymbol ?? "").trim();
+    return symbol || null;
+}
+
+/**
+ * Glossary entries for one or more points/observations carrying {flag, symbol}
+ * Duplicated meanings (e.g. a PORDATA "Quebra de série" and a Eurostat "b") are listed once.
+ *
+ * @returns {Array} [{code, source, label, description, kind}]
+ */
+export function getObservationNotes(...observations) {
+    const notes = [];
+    const seen = new Set();
+
+    const addNote = (code, source, entry) => {
+        if (!entry || seen.has(entry.label)) {
+            return;
+        }
+        seen.add(entry.label);
+        notes.push({ code, source, ...entry });
+    };
+
+    observations.filter(Boolean).forEach(observation => {
+        if (observation.symbol) {
+            addNote(observation.symbol, "PORDATA", PORDATA_SYMBOLS[observation.symbol.toLowerCase()]);
+        }
+        (observation.flag || "").split("").forEach(letter => {
+            addNote(letter, "Eurostat", EUROSTAT_FLAGS[letter]);
+        });
+    });
+
+    return notes;
+}
+
+export function hasObservationNotes(...observations) {
+    return getObservationNotes(...observations).length > 0;
+}
+
+function getGlyph(notes) {
+    return GLYPHS.find(glyph => notes.some(note => note.kind === glyph.kind)) || null;
+}
+
+/**
+ * d3 symbol type used to mark a point with the given notes, or null for unflagged points
+ */
+export function getObservationSymbolType(notes) {
+    const glyph = getGlyph(notes);
+    return glyph ? d3[glyph.symbol] : null;
+}
+
+/**
+ * Tooltip lines explaining the notes of a point (empty string when there are none)
+ */
+export function formatObservationNotes(notes) {
+    if (!notes?.length) {
+        return "";
+    }
+
+    return notes.map(note => {
+        const marker = getGlyph([note])?.marker || "•";
+        return `<span class="observation-note">${marker} <strong>${note.label}</strong> (${note.source}: ${note.code}) — ${note.description}</span>`;
+    }).join("");
+}
+
+/**
+ * Plain-text version of formatObservationNotes, for SVG <title> elements
+ */
+export function describeObservationNotes(notes) {
+    return (notes || [])
+        .map(note => `${note.label} (${note.source}: ${note.code}) — ${note.description}`)
+        .join("\n");
+}
+
+/**
+ * Draw glyphs over the flagged points of a series
+ * Glyphs ignore pointer events so the chart keeps its own hover handling.
+ *
+ * @param {d3.Selection} group - Parent group
+ * @param {Array} points - Points carrying {flag, symbol}
+ * @param {Object} options - {x, y, getNotes, size, color, fill}
+ * @returns {d3.Selection} The glyph paths
+ */
+export function drawObservationGlyphs(group, points, { x, y, getNotes = point => getObservationNotes(point), size = 90, color = "#0f172a", fill = "#fff" }) {
+    const flagged = points
+        .map(point => ({ point, notes: getNotes(point) }))
+        .filter(entry => entry.notes.length);
+
+    return group.selectAll(null)
+        .data(flagged)
+        .join("path")
+        .attr("class", "observation-glyph")
+        .attr("transform", entry => `translate(${x(entry.point)},${y(entry.point)})`)
+        .attr("d", entry => d3.symbol().type(getObservationSymbolType(entry.notes)).size(size)())
+        .attr("fill", fill)
+        .attr("stroke", typeof color === "function" ? entry => color(entry.point) : color)
+        .attr("stroke-width", 1.6)
+        .style("pointer-events", "none");
+}
+
+/**
+ * Short legend listing the glyphs present in a chart
+ */
+export function renderObservationLegend(container, notes) {
+    container.selectAll(".observation-legend").remove();
+    if (!notes?.length) {
+        return;
+    }
+
+    const seen = new Set();
+    const items = notes.filter(note => {
+        if (seen.has(note.label)) {
+            return false;
+        }
+        seen.add(note.label);
+        return true;
+    });
+
+    container.append("p")
+        .attr("class", "observation-legend")
+        .html(`Pontos assinalados: ${items.map(note => `${getGlyph([note])?.marker || "•"} ${note.label}`).join(" · ")}`);
+}
@@ -0,0 +1,260 @@
+/**
+ * Personal Inflation Module
+ * "A minha inflação" panel: spending weights for the twelve COICOP divisions, with household presets.
+ * The weights define the personal basket in data-loader.js (setPersonalBasket), so the same basket
+ * drives the personal line in the inflation chart and the personal deflator of the bullet graph.
+ */
+
+import { calculateBasketInflation, setPersonalBasket, getPersonalBasket } from './data-loader.js';
+import { listCategories, getCategoryLabel, TOTAL_CATEGORY } from './coicop-categories.js';
+
+/**
+ * Household presets, as percentages of monthly spending
+ * Illustrative shares based on the structure of household budgets, not official HICP weights.
+ */
+export const PERSONAL_BASKET_PRESETS = [
+    {
+        id: "media",
+        label: "Agregado médio",
+        weights: { CP01: 22, CP02: 4, CP03: 6, CP04: 10, CP05: 6, CP06: 6, CP07: 14, CP08: 3, CP09: 6, CP10: 1, CP11: 15, CP12: 7 }
+    },
+    {
+        id: "reformado",
+        label: "Reformado",
+        weights: { CP01: 26, CP02: 3, CP03: 3, CP04: 20, CP05: 6, CP06: 12, CP07: 8, CP08: 4, CP09: 6, CP10: 0, CP11: 6, CP12: 6 }
+    },
+    {
+        id: "jovem-arrendatario",
+        label: "Jovem arrendatário",
+        weights: { CP01: 16, CP02: 4, CP03: 6, CP04: 30, CP05: 4, CP06: 3, CP07: 12, CP08: 5, CP09: 8, CP10: 2, CP11: 8, CP12: 2 }
+    },
+    {
+        id: "familia-filhos",
+        label: "Família com filhos",
+        weights: { CP01: 25, CP02: 2, CP03: 8, CP04: 15, CP05: 6, CP06: 5, CP07: 14, CP08: 4, CP09: 7, CP10: 5, CP11: 6, CP12: 3 }
+    }
+];
+const DEFAULT_PRESET = "media";
+// Years averaged in the summary, counting back from the last year with data
+const SUMMARY_YEARS = 5;
+
+let weights = {};
+let activePreset = null;
+let inflationData = null;
+let onBasketChange = null;
+
+/**
+ * Render the weight inputs and presets, and define the personal basket with the default preset
+ *
+ * @param {Object} options - {onChange(weights), onUseForWages()}: called after the weights are committed,
+ * and when the user asks to deflate wages with the personal basket
+ */
+export function initPersonalInflation({ onChange = null, onUseForWages = null } = {}) {
+    const container = d3.select("#personal-inflation-panel");
+    if (container.empty()) {
+        return;
+    }
+
+    onBasketChange = onChange;
+    applyPreset(DEFAULT_PRESET, { notify: false });
+    container.html("");
+
+    const presets = container.append("div")
+        .attr("class", "personal-presets");
+
+    presets.append("span")
+        .attr("class", "personal-presets-label")
+        .text("Perfis:");
+
+    presets.selectAll("button")
+        .data(PERSONAL_BASKET_PRESETS)
+        .join("button")
+        .attr("type", "button")
+        .attr("class", "viz-button personal-preset")
+        .attr("data-preset", d => d.id)
+        .text(d => d.label)
+        .on("click", (event, d) => applyPreset(d.id));
+
+    const grid = container.append("div")
+        .attr("class", "personal-weights");
+
+    const rows = grid.selectAll(".personal-weight")
+        .data(listCategories().filter(entry => entry.code !== TOTAL_CATEGORY))
+        .join("label")
+        .attr("class", "personal-weight")
+        .attr("data-category", d => d.code)
+        .attr("title", d => d.pt);
+
+    rows.append("span")
+        .attr("class", "personal-weight-label")
+        .text(d => d.short);
+
+    rows.append("input")
+        .attr("type", "range")
+        .attr("min", 0)
+        .attr("max", 50)
+        .attr("step", 1)
+        .attr("aria-label", d => `Peso de ${d.short} (%)`)
+        .on("input", function(event, d) {
+            setWeight(d.code, this.value, this);
+        })
+        .on("change", commitWeights);
+
+    rows.append("input")
+        .attr("type", "number")
+        .attr("class", "personal-weight-value")
+        .attr("min", 0)
+        .attr("max", 100)
+        .attr("step", 1)
+        .attr("aria-label", d => `Peso de ${d.short} (%)`)
+        .on("input", function(event, d) {
+            setWeight(d.code, this.value, this);
+        })
+        .on("change", commitWeights);
+
+    const footer = container.append("div")
+        .attr("class", "personal-footer");
+
+    footer.append("p")
+        .attr("class", "personal-weight-total");
+
+    if (onUseForWages) {
+        footer.append("button")
+            .attr("type", "button")
+            .attr("class", "filter-btn personal-use-wages")
+            .text("Usar no salário real")
+            .on("click", () => onUseForWages());
+    }
+
+    container.append("div")
+        .attr("class", "personal-summary");
+
+    syncInputs();
+}
+
+/**
+ * Recompute the personal rates for a country's inflation dataset and refresh the summary
+ *
+ * @returns {Array|null} [{year, value}] personal inflation rates (see calculateBasketInflation)
+ */
+export function updatePersonalInflation(data, country = "Portugal") {
+    inflationData = data;
+    const values = data ? calculateBasketInflation(data, getPersonalBasket()) : null;
+    renderSummary(values, country);
+    return values;
+}
+
+function applyPreset(presetId, { notify = true } = {}) {
+    const preset = PERSONAL_BASKET_PRESETS.find(entry => entry.id === presetId);
+    if (!preset) {
+        return;
+    }
+    weights = { ...preset.weights };
+    activePreset = preset.id;
+    if (notify) {
+        commitWeights();
+    } else {
+        setPersonalBasket(weights);
+    }
+}
+
+// The input being edited is left alone, so typing in a number field is not overwritten
+function setWeight(code, value, source = null) {
+    weights[code] = Math.max(0, Number(value) || 0);
+    activePreset = null;
+    syncInputs(source);
+}
+
+/**
+ * Store the current weights as the personal basket and notify the app
+ */
+function commitWeights() {
+    setPersonalBasket(weights);
+    syncInputs();
+    if (onBasketChange) {
+        onBasketChange(getPersonalBasket());
+    }
+}
+
+function syncInputs(except = null) {
+    const container = d3.select("#personal-inflation-panel");
+
+    container.selectAll(".personal-preset")
+        .classed("active", d => d.id === activePreset);
+
+    container.selectAll(".personal-weight").each(function(d) {
+        const weight = weights[d.code] ?? 0;
+        d3.select(this).select("input[type='range']")
+            .filter(function() { return this !== except; })
+            .property("value", Math.min(weight, 50));
+        d3.select(this).select("input[type='number']")
+            .filter(function() { return this !== except; })
+            .property("value", weight);
+    });
+
+    const total = d3.sum(Object.values(weights));
+    container.select(".personal-weight-total")
+        .classed("is-unbalanced", total !== 100)
+        .text(total
+            ? `Soma dos pesos: ${total}%${total !== 100 ? " (os pesos são normalizados para 100%)" : ""}`
+            : "Atribua um peso a pelo menos uma categoria.");
+}
+
+function renderSummary(values, country) {
+    const summary = d3.select("#personal-inflation-panel .personal-summary");
+    if (summary.empty()) {
+        return;
+    }
+    summary.html("");
+
+    const total = inflationData?.categories?.find(c => c.code === TOTAL_CATEGORY);
+    if (!getPersonalBasket()) {
+        summary.append("p")
+            .attr("class", "personal-summary-empty")
+            .text("Defina os pesos do seu cabaz para calcular a sua inflação.");
+        return;
+    }
+    if (!values?.length) {
+        summary.append("p")
+            .attr("class", "personal-summary-empty")
+            .text(`Não há dados de inflação suficientes para as categorias com peso neste cabaz (${country}).`);
+        return;
+    }
+
+    const totalByYear = new Map((total?.values || []).map(v => [v.year, v.value]));
+    const latest = values[values.length - 1];
+    const recent = values.slice(-SUMMARY_YEARS);
+    const recentTotal = recent.map(v => totalByYear.get(v.year)).filter(v => v != null);
+    const personalAverage = d3.mean(recent, v => v.value);
+    const totalAverage = recentTotal.length === recent.length ? d3.mean(recentTotal) : null;
+    const latestTotal = totalByYear.get(latest.year);
+
+    const formatRate = value => `${value.toFixed(1).replace(".", ",")}%`;
+    const compare = (personal, reference) => {
+        if (reference == null) {
+            return "";
+        }
+        const difference = personal - reference;
+        if (Math.abs(difference) < 0.05) {
+            return ` — igual à inflação total (${formatRate(reference)})`;
+        }
+        return ` — ${formatRate(Math.abs(difference)).replace("%", " p.p.")} ${difference > 0 ? "acima" : "abaixo"} da inflação total (${formatRate(reference)})`;
+    };
+
+    const items = summary.append("ul")
+        .attr("class", "personal-summary-list");
+
+    items.append("li")
+        .html(`<strong>${latest.year}:</strong> ${formatRate(latest.value)}${compare(latest.value, latestTotal)}`);
+
+    items.append("li")
+        .html(`<strong>Média ${recent[0].year}–${latest.year}:</strong> ${formatRate(personalAverage)}${compare(personalAverage, totalAverage)}`);
+
+    const heaviest = Object.entries(getPersonalBasket() || {})
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([code]) => getCategoryLabel(code, "short"));
+    summary.append("p")
+        .attr("class", "personal-summary-meta")
+        .text(`Maiores pesos: ${heaviest.join(", ")}. A linha tracejada "A minha inflação" aparece no gráfico acima.`);
+}
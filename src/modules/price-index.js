@@ -0,0 +1,181 @@
+/**
+ * Price Index Module
+ * Chains annual inflation rates into a price level so real values can be computed against any base
+ * without walking the rates again.
+ *
+ * Times are fractional years (see periodToTime in data-loader.js): annual rates describe yearly
+ * averages, so the price level is anchored at each year's midpoint (y + 0.5) and interpolated
+ * log-linearly in between.
+ */
+
+// Years after the last published rate that the index still covers (filled by the gap policy),
+// so periods of the current year and the second semester that reaches into the next one resolve
+const TRAILING_YEARS = 2;
+
+/**
+ * Rate lookup that fills missing years according to a gap policy
+ * "interpolate" repeats the last rate after the published range; "alternate" reads alternateRates.
+ */
+function createRateResolver(rates, policy, alternateRates) {
+    const knownYears = Array.from(rates.keys()).sort((a, b) => a - b);
+
+    return year => {
+        if (rates.has(year)) {
+            return { rate: rates.get(year) };
+        }
+        if (policy === "alternate") {
+            const rate = alternateRates?.get(year);
+            return rate != null ? { rate, method: "alternate" } : null;
+        }
+        if ((policy !== "interpolate" && policy !== "carry-forward") || !knownYears.length) {
+            return null;
+        }
+
+        const previous = knownYears.filter(y => y < year).pop();
+        const next = knownYears.find(y => y > year);
+        if (policy === "interpolate" && previous != null && next != null) {
+            const weight = (year - previous) / (next - previous);
+            return { rate: rates.get(previous) + weight * (rates.get(next) - rates.get(previous)), method: "interpolate" };
+        }
+
+        const from = previous ?? next;
+        return { rate: rates.get(from), method: "carry-forward", from };
+    };
+}
+
+/**
+ * Build a chained price index from annual rates
+ *
+ * @param {Array} values - [{year, value}] annual inflation rates (%)
+ * @param {Object} options - {policy, alternateRates}: how years without a rate are filled (see INFLATION_GAP_POLICIES)
+ * @returns {Object|null} Index with factor(fromTime, toTime) and rebase(baseTime), or null without rates
+ */
+export function createPriceIndex(values, { policy = "interpolate", alternateRates = null } = {}) {
+    const rates = new Map((values || [])
+        .filter(v => v.value != null && isFinite(v.value))
+        .map(v => [v.year, v.value]));
+    if (!rates.size) {
+        return null;
+    }
+
+    const knownYears = Array.from(rates.keys());
+    // The year before the first rate is the first one with a defined level
+    const firstYear = Math.min(...knownYears) - 1;
+    const lastYear = Math.max(...knownYears) + TRAILING_YEARS;
+    const length = lastYear - firstYear + 1;
+
+    const resolveRate = createRateResolver(rates, policy, alternateRates);
+
+    // growth[i]: log growth of year firstYear + i; logLevel[i]: log level at its midpoint (0 at firstYear)
+    const growth = new Float64Array(length);
+    const logLevel = new Float64Array(length);
+    // Running counts, so a range can be checked for gaps in O(1)
+    const imputedCount = new Uint16Array(length);
+    const missingCount = new Uint16Array(length);
+    const imputed = [];
+    const missing = [];
+
+    for (let i = 1; i < length; i++) {
+        const year = firstYear + i;
+        const resolved = resolveRate(year);
+
+        if (!resolved) {
+            missing.push(year);
+        } else {
+            growth[i] = Math.log(1 + resolved.rate / 100);
+            if (resolved.method) {
+                imputed.push({ year, rate: resolved.rate, method: resolved.method, from: resolved.from });
+            }
+        }
+
+        logLevel[i] = logLevel[i - 1] + growth[i];
+        imputedCount[i] = imputed.length;
+        missingCount[i] = missing.length;
+    }
+
+    // Anchor year and the fraction of the following year elapsed since its midpoint
+    const locate = time => {
+        const anchor = Math.floor(time - 0.5);
+        return { anchor, fraction: time - 0.5 - anchor };
+    };
+
+    const levelAt = ({ anchor, fraction }) => {
+        const i = anchor - firstYear;
+        return logLevel[i] + (fraction > 0 ? fraction * growth[i + 1] : 0);
+    };
+
+    // Last year whose rate the level at this time depends on
+    const lastRateYear = ({ anchor, fraction }) => (fraction > 0 ? anchor + 1 : anchor);
+
+    /**
+     * Price ratio P(toTime) / P(fromTime), with the gap-filled years it relied on
+     *
+     * @returns {Object|null} {value, imputedYears, missingYears}; value is null when a needed year has no rate
+     * or falls outside the index
+     */
+    function factor(fromTime, toTime) {
+        if (fromTime == null || toTime == null) {
+            return null;
+        }
+
+        const from = locate(fromTime);
+        const to = locate(toTime);
+        const lowYear = Math.min(from.anchor, to.anchor) + 1;
+        const highYear = Math.max(lastRateYear(from), lastRateYear(to));
+        if (lowYear <= firstYear || highYear > lastYear) {
+            const outside = [];
+            for (let year = lowYear; year <= highYear; year++) {
+                if (year <= firstYear || year > lastYear) {
+                    outside.push(year);
+                }
+            }
+            return { value: null, imputedYears: [], missingYears: outside };
+        }
+
+        const low = lowYear - firstYear;
+        const high = highYear - firstYear;
+        const inRange = entry => entry.year >= lowYear && entry.year <= highYear;
+        const imputedYears = imputedCount[high] - imputedCount[low - 1]
+            ? imputed.filter(inRange)
+            : [];
+        const missingYears = missingCount[high] - missingCount[low - 1]
+            ? missing.filter(year => year >= lowYear && year <= highYear)
+            : [];
+
+        return {
+            value: missingYears.length ? null : Math.exp(levelAt(to) - levelAt(from)),
+            imputedYears,
+            missingYears
+        };
+    }
+
+    /**
+     * Index re-expressed against a base time; each lookup is O(1)
+     */
+    function rebase(baseTime) {
+        return {
+            baseTime,
+            factor: time => factor(baseTime, time),
+            // Value at `time` expressed in base-time prices
+            deflate: (nominal, time) => {
+                const result = factor(baseTime, time);
+                return result && { ...result, value: result.value == null ? null : nominal / result.value };
+            },
+            // Price level at `time` with the base = 100
+            level: time => {
+                const result = factor(baseTime, time);
+                return result?.value == null ? null : result.value * 100;
+            }
+        };
+    }
+
+    return {
+        firstYear,
+        lastYear,
+        policy,
+        imputedYears: imputed,
+        missingYears: missing,
+        factor,
+        rebase
+    };
+}
@@ -5,6 +5,7 @@
 
 import { wrapText } from './utils.js';
 import { renderEmptyState } from './empty-state.js';
+import { TOTAL_CATEGORY } from './coicop-categories.js';
 
 const GRID_LEVELS = 4;
 const MAX_DEFAULT_VISIBLE_YEARS = 3;
@@ -46,7 +47,7 @@ export function createRadarChart(data, selectedYears, country = 'Portugal') {
         return;
     }
 
-    const categories = data.categories.filter((category) => category.name !== 'Total');
+    const categories = data.categories.filter((category) => category.code !== TOTAL_CATEGORY);
     if (!categories.length) {
         container.html(
             renderEmptyState({
@@ -268,6 +269,14 @@ export function createRadarChart(data, selectedYears, country = 'Portugal') {
         .attr('class', 'radar-hint')
         .html('Passe o rato pelos vértices para ver o valor em cada categoria.');
 
+    const splice = data.splice;
+    if (splice && selectedYears.some((year) => year < splice.year)) {
+        wrapper
+            .append('p')
+            .attr('class', 'splice-note')
+            .text(`Anos anteriores a ${splice.year} usam o ${splice.beforeLabel}; os restantes o ${splice.afterLabel}. As séries não são estritamente comparáveis.`);
+    }
+
     wrapper.on('click', () => {
         if (focusedYear) {
             focusedYear = null;
@@ -289,9 +298,14 @@ export function setupYearSelection(data, onUpdateCallback, country = 'Portugal')
     const displayYears = [...olderYears, ...recentYears].sort((a, b) => b - a);
 
     const defaultYears = determineDefaultYears(recentYears.length ? recentYears : displayYears);
+    const splice = data.splice;
+    const isBeforeSplice = (year) => !!splice && year < splice.year;
 
     displayYears.forEach((year) => {
-        const item = yearContainer.append('label').attr('class', 'year-checkbox-item');
+        const item = yearContainer
+            .append('label')
+            .attr('class', `year-checkbox-item${isBeforeSplice(year) ? ' is-spliced' : ''}`)
+            .attr('title', isBeforeSplice(year) ? `Fonte: ${splice.beforeLabel}` : null);
 
         const checkbox = item
             .append('input')
@@ -308,6 +322,13 @@ export function setupYearSelection(data, onUpdateCallback, country = 'Portugal')
         });
     });
 
+    if (displayYears.some(isBeforeSplice)) {
+        yearContainer
+            .append('p')
+            .attr('class', 'splice-note')
+            .text(`Anos assinalados (antes de ${splice.year}): ${splice.beforeLabel}. Restantes anos: ${splice.afterLabel}.`);
+    }
+
     if (onUpdateCallback) {
         onUpdateCallback(data);
     }
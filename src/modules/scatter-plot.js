@@ -4,30 +4,19 @@
  */
 
 import { renderEmptyState } from './empty-state.js';
+import { getCountryDisplayName } from './country-registry.js';
+import { getObservationNotes, formatObservationNotes, drawObservationGlyphs, renderObservationLegend } from './observation-flags.js';
+import { drawEventMarkers } from './event-annotations.js';
 
 let currentView = "variation"; // "variation" or "timeline"
 let scatterData = null;
 let currentCountry = "Portugal";
 
-const countryDisplayOverrides = {
-    "Spain": "Espanha",
-    "Espanha": "Espanha",
-    "France": "França",
-    "França": "França",
-    "Germany": "Alemanha",
-    "Alemanha": "Alemanha",
-    "Finland": "Finlândia",
-    "Finlândia": "Finlândia",
-    "Italy": "Itália",
-    "Itália": "Itália",
-    "Portugal": "Portugal"
-};
-
 function getDisplayCountryLabel(country) {
     if (!country) {
         return "Portugal";
     }
-    return countryDisplayOverrides[country] || country;
+    return getCountryDisplayName(country, "scatter-plot");
 }
 
 function updateScatterNarrativeCountry(country) {
@@ -38,6 +27,11 @@ function updateScatterNarrativeCountry(country) {
     label.textContent = getDisplayCountryLabel(country);
 }
 
+// Notes of both observations behind a point: the income share (flag/symbol) and the inflation rate
+function getPointNotes(d) {
+    return getObservationNotes(d, { symbol: d.inflationSymbol });
+}
+
 function hasValidScatterDataset(data) {
     return !!(data && Array.isArray(data.data) && data.data.length);
 }
@@ -258,6 +252,7 @@ function drawVariationView(container, svg, width, height, margin) {
                 Var. quota rendimento: ${d.incomeVariation > 0 ? '+' : ''}${d.incomeVariation.toFixed(2)} p.p.<br/>
                 Var. inflação: ${d.inflationVariation > 0 ? '+' : ''}${d.inflationVariation.toFixed(2)} p.p.<br/>
                 <small>Quota: ${d.incomeShare.toFixed(1)}% | Inflação: ${d.inflationRate.toFixed(2)}%</small>
+                ${formatObservationNotes(getPointNotes(d))}
             `)
                 .style("left", (event.pageX + 15) + "px")
                 .style("top", (event.pageY - 28) + "px");
@@ -274,6 +269,16 @@ function drawVariationView(container, svg, width, height, margin) {
                 .style("opacity", 0);
         });
 
+    // Ring flagged years (e.g. breaks in series) so variations across them are not read at face value
+    drawObservationGlyphs(svg.append("g"), plotData, {
+        x: d => xScale(d.inflationVariation),
+        y: d => yScale(d.incomeVariation),
+        getNotes: getPointNotes,
+        size: 420,
+        fill: "none"
+    });
+    renderObservationLegend(container, plotData.flatMap(getPointNotes));
+
     // Add quadrant labels
     const labelOffset = 15;
 
@@ -416,6 +421,9 @@ function drawTimelineView(container, svg, width, height, margin) {
         .attr("stroke-dasharray", "5,5")
         .attr("opacity", 0.5);
 
+    // Economic events and the user's annotations
+    drawEventMarkers(svg, { xScale, height, countries: currentCountry });
+
     // Create tooltip
     const tooltip = d3.select("body").append("div")
         .attr("class", "scatter-tooltip")
@@ -504,6 +512,7 @@ function drawTimelineView(container, svg, width, height, margin) {
                 <em>${interpretation}</em><br/>
                 <small>Var. rendimento: ${d.incomeVariation > 0 ? '+' : ''}${d.incomeVariation.toFixed(2)} p.p.</small><br/>
                 <small>Var. inflação: ${d.inflationVariation > 0 ? '+' : ''}${d.inflationVariation.toFixed(2)} p.p.</small>
+                ${formatObservationNotes(getPointNotes(d))}
             `)
                 .style("left", (event.pageX + 15) + "px")
                 .style("top", (event.pageY - 28) + "px");
@@ -520,6 +529,15 @@ function drawTimelineView(container, svg, width, height, margin) {
                 .style("opacity", 0);
         });
 
+    drawObservationGlyphs(svg.append("g"), validData, {
+        x: d => xScale(d.year),
+        y: d => yScale(d.purchasingPower),
+        getNotes: getPointNotes,
+        size: 380,
+        fill: "none"
+    });
+    renderObservationLegend(container, validData.flatMap(getPointNotes));
+
     // Add title
     svg.append("text")
         .attr("x", width / 2)
@@ -557,6 +575,15 @@ function drawTimelineView(container, svg, width, height, margin) {
         .text("↓ Perda de poder de compra");
 }
 
+/**
+ * Redraw the current view with its data (e.g. after the event annotations changed)
+ */
+export function refreshScatterPlot() {
+    if (hasValidScatterDataset(scatterData)) {
+        createScatterPlot(scatterData, currentView, currentCountry);
+    }
+}
+
 /**
  * Setup view toggle controls
  */
@@ -0,0 +1,338 @@
+/**
+ * Value Converter Module
+ * "Quanto vale hoje?": what an amount from one year is worth in another year's prices, for any country
+ * and deflator. Conversions chain the annual rates through the country's price index (loadPriceIndex),
+ * the same way real wages are computed, so they work forwards and backwards in time.
+ */
+
+import { getAvailableCountries, loadPriceIndex, loadDeflatorOptions, deflateWithPriceIndex, describeImputedInflation, getDeflator, DEFAULT_DEFLATOR } from "./data-loader.js";
+import { getCountryDisplayName } from "./country-registry.js";
+import { renderEmptyState } from "./empty-state.js";
+
+const DEFAULT_AMOUNT = 500;
+const DEFAULT_FROM_YEAR = 2005;
+const currencyFormatter = new Intl.NumberFormat("pt-PT", {
+    style: "currency",
+    currency: "EUR",
+    maximumFractionDigits: 2
+});
+const percentFormatter = new Intl.NumberFormat("pt-PT", {
+    style: "percent",
+    maximumFractionDigits: 1,
+    signDisplay: "exceptZero"
+});
+
+const state = {
+    amount: DEFAULT_AMOUNT,
+    country: "Portugal",
+    deflator: DEFAULT_DEFLATOR,
+    fromYear: DEFAULT_FROM_YEAR,
+    toYear: null,
+    years: []
+};
+
+/**
+ * Render the converter form and the first conversion
+ */
+export async function initValueConverter(country = "Portugal") {
+    const container = d3.select("#value-converter");
+    if (container.empty()) {
+        return;
+    }
+
+    try {
+        const countries = await getAvailableCountries();
+        if (!countries?.length) {
+            container.html(renderEmptyState({
+                title: "Sem dados disponíveis",
+                message: "Não foi possível carregar a lista de países para o conversor.",
+                meta: "Verifique se o ficheiro de inflação europeia está acessível.",
+                icon: "💶"
+            }));
+            return;
+        }
+
+        state.country = countries.includes(country) ? country : countries[0];
+        renderLayout(container, countries);
+        await refreshValueConverter();
+    } catch (error) {
+        console.error("Value converter failed:", error);
+        container.html(renderEmptyState({
+            title: "Erro ao preparar o conversor",
+            message: "Ocorreu um problema ao carregar os dados de inflação.",
+            meta: `Detalhes técnicos: ${error.message}`,
+            icon: "⚠️"
+        }));
+    }
+}
+
+/**
+ * Follow the country selected in the rest of the page
+ */
+export async function syncConverterCountry(country) {
+    const select = d3.select("#converter-country");
+    if (select.empty() || !select.selectAll("option").nodes().some(option => option.value === country)) {
+        return;
+    }
+    state.country = country;
+    select.property("value", country);
+    await refreshValueConverter();
+}
+
+/**
+ * Rebuild the deflator and year options for the current country and redraw the conversion
+ * Called after anything that changes the price indexes (source preference, gap policy, personal basket).
+ */
+export async function refreshValueConverter() {
+    if (d3.select("#converter-result").empty()) {
+        return;
+    }
+
+    const options = await loadDeflatorOptions(state.country);
+    if (!options.some(option => option.id === state.deflator)) {
+        state.deflator = DEFAULT_DEFLATOR;
+    }
+    d3.select("#converter-deflator")
+        .selectAll("option")
+        .data(options, d => d.id)
+        .join("option")
+        .attr("value", d => d.id)
+        .text(d => d.label);
+    d3.select("#converter-deflator").property("value", state.deflator);
+
+    const priceIndex = await loadPriceIndex(state.country, state.deflator);
+    updateYearOptions(priceIndex);
+    renderConversion(priceIndex);
+}
+
+function renderLayout(container, countries) {
+    container.html("");
+
+    const form = container.append("div")
+        .attr("class", "converter-form");
+
+    const amountField = form.append("label")
+        .attr("class", "converter-field converter-amount");
+    amountField.append("span").text("Montante (€)");
+    amountField.append("input")
+        .attr("id", "converter-amount")
+        .attr("type", "number")
+        .attr("min", 0)
+        .attr("step", "any")
+        .property("value", state.amount)
+        .on("input", function() {
+            const amount = Number(this.value);
+            if (isFinite(amount) && amount >= 0 && this.value !== "") {
+                state.amount = amount;
+                redraw();
+            }
+        });
+
+    const fromField = form.append("label")
+        .attr("class", "converter-field");
+    fromField.append("span").text("Em");
+    fromField.append("select")
+        .attr("id", "converter-from")
+        .attr("class", "year-select-dropdown")
+        .on("change", function() {
+            state.fromYear = Number(this.value);
+            redraw();
+        });
+
+    form.append("button")
+        .attr("type", "button")
+        .attr("class", "filter-btn converter-swap")
+        .attr("title", "Trocar os anos")
+        .text("⇄")
+        .on("click", () => {
+            [state.fromYear, state.toYear] = [state.toYear, state.fromYear];
+            d3.select("#converter-from").property("value", state.fromYear);
+            d3.select("#converter-to").property("value", state.toYear);
+            redraw();
+        });
+
+    const toField = form.append("label")
+        .attr("class", "converter-field");
+    toField.append("span").text("Valor em");
+    toField.append("select")
+        .attr("id", "converter-to")
+        .attr("class", "year-select-dropdown")
+        .on("change", function() {
+            state.toYear = Number(this.value);
+            redraw();
+        });
+
+    const countryField = form.append("label")
+        .attr("class", "converter-field");
+    countryField.append("span").text("País");
+    countryField.append("select")
+        .attr("id", "converter-country")
+        .attr("class", "year-select-dropdown")
+        .on("change", async function() {
+            state.country = this.value;
+            await refreshValueConverter();
+        })
+        .selectAll("option")
+        .data(countries)
+        .join("option")
+        .attr("value", d => d)
+        .text(d => getCountryDisplayName(d, "value-converter"));
+    d3.select("#converter-country").property("value", state.country);
+
+    const deflatorField = form.append("label")
+        .attr("class", "converter-field converter-deflator");
+    deflatorField.append("span").text("Inflação");
+    deflatorField.append("select")
+        .attr("id", "converter-deflator")
+        .attr("class", "year-select-dropdown")
+        .on("change", async function() {
+            state.deflator = this.value;
+            await refreshValueConverter();
+        });
+
+    container.append("div")
+        .attr("id", "converter-result")
+        .attr("class", "converter-result");
+
+    container.append("div")
+        .attr("id", "converter-path")
+        .attr("class", "converter-path");
+}
+
+async function redraw() {
+    renderConversion(await loadPriceIndex(state.country, state.deflator));
+}
+
+/**
+ * Years the index can convert from and to: from the year before the first rate up to the year after the
+ * last published one; gap-filled years are marked with "*"
+ */
+function updateYearOptions(priceIndex) {
+    const missing = new Set(priceIndex?.missingYears || []);
+    const imputed = new Set((priceIndex?.imputedYears || []).map(entry => entry.year));
+    state.years = priceIndex
+        ? d3.range(priceIndex.firstYear, priceIndex.lastYear).filter(year => !missing.has(year))
+        : [];
+    if (state.years.length) {
+        const clamp = year => Math.min(Math.max(year, state.years[0]), state.years[state.years.length - 1]);
+        state.fromYear = clamp(state.fromYear ?? DEFAULT_FROM_YEAR);
+        state.toYear = clamp(state.toYear ?? state.years[state.years.length - 1]);
+    }
+
+    ["#converter-from", "#converter-to"].forEach(selector => {
+        d3.select(selector)
+            .selectAll("option")
+            .data(state.years, d => d)
+            .join("option")
+            .attr("value", d => d)
+            .text(d => `${d}${imputed.has(d) ? " *" : ""}`);
+    });
+    d3.select("#converter-from").property("value", state.fromYear);
+    d3.select("#converter-to").property("value", state.toYear);
+}
+
+function renderConversion(priceIndex) {
+    const result = d3.select("#converter-result");
+    const path = d3.select("#converter-path");
+    result.html("");
+    path.html("");
+
+    const countryLabel = getCountryDisplayName(state.country, "value-converter");
+    const conversion = priceIndex && state.years.length
+        ? deflateWithPriceIndex(state.amount, priceIndex, state.fromYear, state.toYear)
+        : null;
+    if (conversion?.value == null) {
+        result.html(renderEmptyState({
+            title: "Sem inflação para estes anos",
+            message: `Não há taxas de inflação suficientes para converter valores em ${countryLabel}.`,
+            meta: "Escolha outros anos, outro país ou outra categoria.",
+            icon: "💶"
+        }));
+        return;
+    }
+
+    const [firstYear, lastYear] = d3.extent([state.fromYear, state.toYear]);
+    const cumulative = priceIndex.factor(firstYear + 0.5, lastYear + 0.5);
+    const deflator = getDeflator(state.deflator);
+
+    result.append("p")
+        .attr("class", "converter-equivalence")
+        .html(`<strong>${currencyFormatter.format(state.amount)}</strong> em ${state.fromYear} equivalem a <strong>${currencyFormatter.format(conversion.value)}</strong> em ${state.toYear}`);
+
+    result.append("p")
+        .attr("class", "converter-cumulative")
+        .text(`Inflação acumulada ${firstYear}–${lastYear} (${countryLabel}, ${deflator.shortLabel}): ${percentFormatter.format(cumulative.value - 1)}`);
+
+    if (conversion.imputedYears.length) {
+        result.append("p")
+            .attr("class", "imputed-inflation-note")
+            .text(`* Inflação imputada: ${describeImputedInflation(conversion.imputedYears)}`);
+    }
+
+    drawValuePath(path, priceIndex);
+}
+
+/**
+ * Small line chart of the amount expressed in the prices of each year between the two years
+ */
+function drawValuePath(container, priceIndex) {
+    const step = state.toYear >= state.fromYear ? 1 : -1;
+    const points = d3.range(state.fromYear, state.toYear + step, step)
+        .map(year => ({ year, value: deflateWithPriceIndex(state.amount, priceIndex, state.fromYear, year)?.value }))
+        .filter(point => point.value != null)
+        .sort((a, b) => a.year - b.year);
+    if (points.length < 2) {
+        return;
+    }
+
+    const margin = { top: 20, right: 30, bottom: 30, left: 70 };
+    const nodeWidth = container.node().getBoundingClientRect().width;
+    const width = Math.max(nodeWidth - margin.left - margin.right, 280);
+    const height = 180 - margin.top - margin.bottom;
+
+    const svg = container.append("svg")
+        .attr("width", width + margin.left + margin.right)
+        .attr("height", height + margin.top + margin.bottom);
+    const chartArea = svg.append("g")
+        .attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent(points, d => d.year))
+        .range([0, width]);
+    const yScale = d3.scaleLinear()
+        .domain(d3.extent([...points.map(d => d.value), state.amount]))
+        .range([height, 0])
+        .nice();
+
+    chartArea.append("g")
+        .attr("class", "axis x-axis")
+        .attr("transform", `translate(0,${height})`)
+        .call(d3.axisBottom(xScale).ticks(Math.min(points.length - 1, 8)).tickFormat(d3.format("d")));
+    chartArea.append("g")
+        .attr("class", "axis y-axis")
+        .call(d3.axisLeft(yScale).ticks(4).tickFormat(d => currencyFormatter.format(d)));
+
+    // The amount as entered, for reference
+    chartArea.append("line")
+        .attr("class", "converter-reference")
+        .attr("x1", 0)
+        .attr("x2", width)
+        .attr("y1", yScale(state.amount))
+        .attr("y2", yScale(state.amount));
+
+    chartArea.append("path")
+        .datum(points)
+        .attr("class", "converter-line")
+        .attr("fill", "none")
+        .attr("d", d3.line().x(d => xScale(d.year)).y(d => yScale(d.value)));
+
+    chartArea.selectAll(".converter-point")
+        .data(points)
+        .join("circle")
+        .attr("class", d => `converter-point${d.year === state.fromYear || d.year === state.toYear ? " is-endpoint" : ""}`)
+        .attr("cx", d => xScale(d.year))
+        .attr("cy", d => yScale(d.value))
+        .attr("r", d => (d.year === state.fromYear || d.year === state.toYear ? 5 : 2.5))
+        .append("title")
+        .text(d => `${d.year}: ${currencyFormatter.format(d.value)}`);
+}